@@ -2,20 +2,21 @@
 
 const fs = require("fs");
 const path = require("path");
+const crypto = require("crypto");
 
-// React JSX transpile
-const babel = require("@babel/core");
+// Browser bundles for hydration
+const esbuild = require("esbuild");
 
-// Vue SFC compile
-const {
-  parse,
-  compileTemplate,
-  compileScript,
-} = require("@vue/compiler-sfc");
+// Framework adapters (built-in + any registered in domainex.config.js)
+const DomainEx = require("./domainex");
 
 const ROOT = __dirname;
 const COMPONENTS_DIR = path.join(ROOT, "components");
 const DIST_DIR = path.join(ROOT, "dist");
+const ASSETS_DIR = path.join(DIST_DIR, "assets");
+const CONFIG_PATH = path.join(ROOT, "domainex.config.js");
+
+const PRODUCTION = process.env.NODE_ENV !== "development";
 
 function cleanDist() {
   if (fs.existsSync(DIST_DIR)) {
@@ -24,146 +25,413 @@ function cleanDist() {
   fs.mkdirSync(DIST_DIR, { recursive: true });
 }
 
+// "admin\\Dashboard.jsx" -> "admin/Dashboard.jsx"
+function toPosix(file) {
+  return file.split(path.sep).join("/");
+}
+
+/**
+ * Every file below `dir`, as sorted "/"-separated paths relative to it.
+ * Dot files and folders are skipped.
+ */
 function readFiles(dir) {
   if (!fs.existsSync(dir)) {
     throw new Error(`Missing folder: ${dir}`);
   }
-  return fs.readdirSync(dir);
+
+  return fs
+    .readdirSync(dir, { recursive: true })
+    .map(toPosix)
+    .filter((file) => !file.split("/").some((part) => part.startsWith(".")))
+    .filter((file) => fs.statSync(path.join(dir, file)).isFile())
+    .sort();
 }
 
-function writeDist(name, code) {
-  const outPath = path.join(DIST_DIR, `${name}.js`);
+function contentHash(code) {
+  return crypto.createHash("sha1").update(code).digest("hex");
+}
+
+/**
+ * Write a server module, plus its source map when the adapter returned
+ * `{ code, map }`. dist/ mirrors components/, so "admin/Dashboard" goes to
+ * dist/admin/Dashboard.js. Map sources become relative to the map so the
+ * folder can be moved along with the components.
+ */
+function writeDist(name, built) {
+  const file = `${name}.js`;
+  const outPath = path.join(DIST_DIR, file);
+  let code = typeof built === "string" ? built : built.code;
+  let mapFile = null;
+
+  fs.mkdirSync(path.dirname(outPath), { recursive: true });
+
+  if (typeof built === "object" && built.map) {
+    const map = typeof built.map === "string" ? JSON.parse(built.map) : { ...built.map };
+    map.file = path.basename(file);
+    map.sources = map.sources.map((source) =>
+      path.isAbsolute(source) ? toPosix(path.relative(path.dirname(outPath), source)) : source
+    );
+
+    mapFile = `${file}.map`;
+    fs.writeFileSync(path.join(DIST_DIR, mapFile), JSON.stringify(map), "utf8");
+    code += `\n//# sourceMappingURL=${path.basename(mapFile)}\n`;
+  }
+
   fs.writeFileSync(outPath, code, "utf8");
-  console.log(`✅ Built -> dist/${name}.js`);
-}
-
-function buildReactJSX(filePath) {
-  const result = babel.transformFileSync(filePath, {
-    presets: [
-      ["@babel/preset-env", { targets: { node: "current" } }],
-      ["@babel/preset-react", { runtime: "automatic" }]
-    ],
-    sourceMaps: false,
-    babelrc: false,
-    configFile: false,
+  console.log(`✅ Built -> dist/${file}`);
+  return { file, map: mapFile, hash: contentHash(code) };
+}
+
+/**
+ * dist/manifest.json tells DomainEx what each module is, so it does not
+ * have to guess the framework from the exported shape.
+ */
+function writeManifest(components) {
+  const manifest = {
+    version: 1,
+    buildTime: new Date().toISOString(),
+    components,
+  };
+
+  fs.writeFileSync(
+    path.join(DIST_DIR, "manifest.json"),
+    JSON.stringify(manifest, null, 2),
+    "utf8"
+  );
+  console.log("✅ Built -> dist/manifest.json");
+}
+
+/**
+ * esbuild wrapper handed to adapters' buildClient() as `bundle`. The files
+ * esbuild read below components/ are added to `inputs`.
+ */
+async function bundle({ contents, sourcefile, plugins = [], define = {} }, inputs = new Set()) {
+  const result = await esbuild.build({
+    stdin: {
+      contents,
+      resolveDir: COMPONENTS_DIR,
+      sourcefile,
+      loader: "js",
+    },
+    bundle: true,
+    write: false,
+    format: "iife",
+    platform: "browser",
+    minify: PRODUCTION,
+    jsx: "automatic",
+    define: {
+      "process.env.NODE_ENV": JSON.stringify(PRODUCTION ? "production" : "development"),
+      ...define,
+    },
+    plugins,
+    metafile: true,
+    logLevel: "silent",
   });
 
-  return result.code;
+  // Metafile paths are relative to the working directory; <stdin> isn't a file
+  for (const input of Object.keys(result.metafile.inputs)) {
+    const rel = path.relative(COMPONENTS_DIR, path.resolve(input));
+    if (input !== "<stdin>" && !rel.startsWith("..") && !path.isAbsolute(rel)) inputs.add(toPosix(rel));
+  }
+
+  return result.outputFiles[0].text;
 }
 
-function buildVanillaJS(filePath) {
-  return fs.readFileSync(filePath, "utf8");
+async function buildClientBundle(entry, adapter, inputs) {
+  const code = await adapter.buildClient(path.join(COMPONENTS_DIR, entry.source), {
+    name: entry.name,
+    fileName: entry.source,
+    bundle: (opts) => bundle(opts, inputs),
+  });
+
+  // Fingerprint so the files can be cached forever. Nested components get
+  // nested bundles too (assets/admin/Dashboard-3aee8b49.js)
+  const hash = contentHash(code).slice(0, 8);
+  const fileName = `${entry.name}-${hash}.js`;
+
+  fs.mkdirSync(path.dirname(path.join(ASSETS_DIR, fileName)), { recursive: true });
+  fs.writeFileSync(path.join(ASSETS_DIR, fileName), code);
+  console.log(`✅ Built -> dist/assets/${fileName}`);
+
+  return fileName;
 }
 
-function buildVueSFC(filePath, fileName) {
-  const source = fs.readFileSync(filePath, "utf8");
+/**
+ * Build the browser bundle of one component, if its adapter has one, and
+ * record the fingerprinted file name on its manifest entry. Resolves to the
+ * source files below components/ the component was built from: its own,
+ * plus everything its bundle inlines (child components, CSS modules).
+ */
+async function buildClient(dx, entry) {
+  const inputs = new Set([entry.source]);
 
-  const { descriptor, errors } = parse(source, { filename: fileName });
+  const adapter = dx.getAdapter(entry.framework);
+  if (!adapter.buildClient) return inputs;
 
-  if (errors && errors.length) {
-    throw new Error(
-      `Vue parse errors:\n${errors.map((e) => String(e)).join("\n")}`
-    );
+  try {
+    entry.client = await buildClientBundle(entry, adapter, inputs);
+  } catch (err) {
+    console.error(`❌ Failed building client bundle for ${entry.source}`);
+    console.error(err);
   }
 
-  if (!descriptor.template) {
-    throw new Error(`Vue file "${fileName}" has no <template> block.`);
-  }
+  return inputs;
+}
 
-  // Compile <script> / <script setup>
-  const compiledScript = compileScript(descriptor, {
-    id: `domainex-${fileName}`,
-  });
+// Type declarations and CSS modules sit next to components but are not
+// components; CSS is compiled into the components that import it
+function isComponentSource(file) {
+  return !file.endsWith(".d.ts") && !file.endsWith(".css");
+}
 
-  // Compile template to render() WITHOUT ESM imports
-  const templateResult = compileTemplate({
-    source: descriptor.template.content,
-    filename: fileName,
-    id: `domainex-${fileName}`,
+/**
+ * Component name of a source file: its path below components/ without the
+ * adapter's extension ("admin/Dashboard.jsx" -> "admin/Dashboard").
+ * Returns null for files no adapter builds.
+ */
+function componentName(dx, file) {
+  const found = dx.adapterForFile(file);
+  return found && found.adapter.buildServer ? file.slice(0, -found.ext.length) : null;
+}
 
-    // IMPORTANT: prevent ESM imports like: import { ... } from "vue"
-    compilerOptions: {
-      mode: "function"
-    }
-  });
+/**
+ * Throw if two sources would build the same component, e.g. Card.jsx and
+ * Card.vue in the same folder.
+ */
+function checkDuplicates(dx, files) {
+  const sources = new Map(); // name -> source files
 
-  if (templateResult.errors && templateResult.errors.length) {
+  for (const file of files) {
+    const name = componentName(dx, file);
+    if (name) sources.set(name, [...(sources.get(name) || []), file]);
+  }
+
+  const duplicates = [...sources].filter(([, list]) => list.length > 1);
+  if (duplicates.length) {
+    const lines = duplicates.map(([name, list]) => `  "${name}": ${list.join(", ")}`);
     throw new Error(
-      `Vue template compile errors:\n${templateResult.errors
-        .map((e) => String(e))
-        .join("\n")}`
+      `[DomainEx] Duplicate component names (one source per name and folder):\n${lines.join("\n")}`
     );
   }
+}
 
-  let scriptCode = compiledScript.content;
+/**
+ * Build the server module of one component file (a path relative to
+ * components/). Returns its manifest entry, or null if the file is not a
+ * component or failed to build.
+ */
+async function buildComponent(dx, file) {
+  const filePath = path.join(COMPONENTS_DIR, file);
+  const found = dx.adapterForFile(file);
 
-  // convert export default -> const __default__ =
-  scriptCode = scriptCode.replace(/export default /, "const __default__ = ");
+  if (!found || !found.adapter.buildServer) {
+    console.warn(`Skipping unsupported file: ${file}`);
+    return null;
+  }
 
-  // remove other exports
-  scriptCode = scriptCode.replace(/export \{[^}]+\};?/g, "");
+  const { name: framework, adapter, ext } = found;
+  const name = file.slice(0, -ext.length);
+
+  try {
+    console.log(`• ${framework}: ${file}`);
+    const built = await adapter.buildServer(filePath, { name, fileName: file });
+
+    const { file: outFile, map, hash } = writeDist(name, built);
+
+    return {
+      name,
+      framework,
+      source: file,
+      file: outFile,
+      map,
+      hash,
+      buildTime: new Date().toISOString(),
+      client: null,
+    };
+  } catch (err) {
+    console.error(`❌ Failed building ${file}`);
+    console.error(err);
+    return null;
+  }
+}
 
-  const finalCode = `
-"use strict";
+function createBuilder() {
+  const config = fs.existsSync(CONFIG_PATH) ? require(CONFIG_PATH) : {};
+  return new DomainEx(config.options);
+}
 
 /**
- * Auto-generated by DomainEx build.js
- * Source: ${fileName}
+ * Clean dist/ and build every component. Resolves to the manifest's
+ * components. `inputs` is filled with each component's source files (see
+ * buildClient()), by component name.
  */
+async function build(dx = createBuilder(), inputs = new Map()) {
+  console.log("Building components...");
+
+  cleanDist();
 
-const Vue = require("vue");
+  const components = {};
 
-${scriptCode}
+  const files = readFiles(COMPONENTS_DIR).filter(isComponentSource);
+  checkDuplicates(dx, files);
 
-// Template render function
-${templateResult.code}
+  for (const file of files) {
+    const entry = await buildComponent(dx, file);
+    if (entry) components[entry.name] = entry;
+  }
 
-// Attach render
-__default__.render = render;
+  console.log("\nBuilding client bundles...");
+  for (const entry of Object.values(components)) {
+    inputs.set(entry.name, await buildClient(dx, entry));
+  }
 
-// Export as CommonJS
-module.exports = __default__;
-`.trim();
+  writeManifest(components);
 
-  return finalCode;
+  console.log("\nBuild completed.");
+  return components;
 }
 
+// Remove a component's dist files; `keepClient` spares a bundle still in use
+function removeOutputs(entry, { keepClient = null } = {}) {
+  const files = [entry.file, entry.map].filter(Boolean).map((file) => path.join(DIST_DIR, file));
+  if (entry.client && entry.client !== keepClient) files.push(path.join(ASSETS_DIR, entry.client));
 
-function main() {
-  console.log("Building components...");
+  for (const file of files) fs.rmSync(file, { force: true });
+}
 
-  cleanDist();
+/**
+ * Build everything, then rebuild components as their sources change.
+ *
+ * A changed file rebuilds its own component and every component whose
+ * client bundle inlines it, e.g. the parents of a changed child or the
+ * users of a changed CSS module (server module and client bundle each).
+ * The manifest is rewritten last, which is what a DomainEx instance with
+ * `hotReload` watches for. Resolves to a function that stops watching.
+ */
+async function watch(dx = createBuilder()) {
+  const inputs = new Map(); // component name -> source files it was built from
+  const components = await build(dx, inputs);
+
+  const queue = new Set();
+  let running = false;
+  let timer = null;
+
+  async function rebuild(file) {
+    const existing = Object.values(components).find((entry) => entry.source === file);
+
+    if (!fs.existsSync(path.join(COMPONENTS_DIR, file))) {
+      if (existing) {
+        removeOutputs(existing);
+        delete components[existing.name];
+        inputs.delete(existing.name);
+        console.log(`🗑  Removed ${file}`);
+      }
+      return;
+    }
 
-  const files = readFiles(COMPONENTS_DIR);
+    const name = componentName(dx, file);
+    const other = name && components[name];
+    if (other && other.source !== file && fs.existsSync(path.join(COMPONENTS_DIR, other.source))) {
+      console.error(`❌ Duplicate component name "${name}": ${other.source}, ${file}. Skipping ${file}.`);
+      return;
+    }
 
-  for (const file of files) {
-    const filePath = path.join(COMPONENTS_DIR, file);
-    const ext = path.extname(file);
-    const name = path.basename(file, ext);
+    const entry = await buildComponent(dx, file);
+    if (!entry) return; // keep serving the last good build
+
+    // After a failed client build, a fix to any of the old inputs still rebuilds it
+    const sources = await buildClient(dx, entry);
+    if (!entry.client) for (const source of inputs.get(entry.name) || []) sources.add(source);
+    inputs.set(entry.name, sources);
+
+    if (existing) removeOutputs({ client: existing.client }, { keepClient: entry.client });
+    components[entry.name] = entry;
+  }
+
+  async function flush() {
+    if (running) return;
+    running = true;
 
     try {
-      if (ext === ".jsx") {
-        console.log(`• React: ${file}`);
-        const code = buildReactJSX(filePath);
-        writeDist(name, code);
-      } else if (ext === ".vue") {
-        console.log(`• Vue: ${file}`);
-        const code = buildVueSFC(filePath, file);
-        writeDist(name, code);
-      } else if (ext === ".js") {
-        console.log(`• Vanilla: ${file}`);
-        const code = buildVanillaJS(filePath);
-        writeDist(name, code);
+      await drain();
+    } finally {
+      running = false;
+    }
+  }
+
+  async function drain() {
+    while (queue.size) {
+      const files = new Set();
+      const known = (file) => Object.values(components).some((entry) => entry.source === file);
+
+      for (const file of expandFolders(queue)) {
+        if (isComponentSource(file)) {
+          // Skips editor temp files that came and went
+          if (known(file) || fs.existsSync(path.join(COMPONENTS_DIR, file))) files.add(file);
+        }
+
+        // Components built from it: parents, users of a CSS module
+        for (const [name, sources] of inputs) {
+          if (sources.has(file) && components[name]) files.add(components[name].source);
+        }
+      }
+      queue.clear();
+
+      if (!files.size) continue;
+
+      console.log(`\nRebuilding ${[...files].join(", ")}...`);
+      for (const file of files) await rebuild(file);
+      writeManifest(components);
+    }
+  }
+
+  // A folder that was added, moved or deleted stands for the files in it
+  function expandFolders(paths) {
+    const files = new Set();
+
+    for (const file of paths) {
+      const fullPath = path.join(COMPONENTS_DIR, file);
+
+      if (fs.existsSync(fullPath) && fs.statSync(fullPath).isDirectory()) {
+        for (const inner of readFiles(fullPath)) files.add(`${file}/${inner}`);
       } else {
-        console.warn(`Skipping unsupported file: ${file}`);
+        files.add(file);
+        for (const entry of Object.values(components)) {
+          if (entry.source.startsWith(`${file}/`)) files.add(entry.source);
+        }
       }
-    } catch (err) {
-      console.error(`❌ Failed building ${file}`);
-      console.error(err);
     }
+
+    return files;
   }
 
-  console.log("\nBuild completed.");
+  // Editors often write a file in several steps; wait for them to settle
+  const watcher = fs.watch(COMPONENTS_DIR, { recursive: true }, (event, file) => {
+    if (!file) return;
+    queue.add(toPosix(file));
+    clearTimeout(timer);
+    timer = setTimeout(() => flush().catch((err) => console.error(err)), 50);
+  });
+
+  console.log(`\nWatching ${path.relative(process.cwd(), COMPONENTS_DIR) || "."} for changes...`);
+
+  return () => {
+    clearTimeout(timer);
+    watcher.close();
+  };
 }
 
-main();
+module.exports = {
+  build,
+  watch,
+};
+
+// node build.js [--watch]
+if (require.main === module) {
+  const run = process.argv.includes("--watch") ? watch : build;
+
+  run().catch((err) => {
+    console.error(err);
+    process.exitCode = 1;
+  });
+}
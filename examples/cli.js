@@ -0,0 +1,93 @@
+#!/usr/bin/env node
+"use strict";
+
+const path = require("path");
+
+const DomainEx = require("./domainex");
+
+const USAGE = `
+Usage: node cli.js <command> [options]
+
+Commands:
+  prerender   Render every route to static HTML
+
+Options:
+  --config <file>   Config module (default: ./domainex.config.js)
+  --out <dir>       Output directory (overrides prerender.outDir)
+  --clean           Empty the output directory first (only one an earlier
+                    prerender wrote)
+`.trim();
+
+// Flags that take no value
+const SWITCHES = new Set(["clean"]);
+
+function parseArgs(argv) {
+  const [command, ...rest] = argv;
+  const flags = {};
+
+  for (let i = 0; i < rest.length; i++) {
+    const arg = rest[i];
+    if (!arg.startsWith("--")) {
+      throw new Error(`Unexpected argument: ${arg}`);
+    }
+
+    const [key, inline] = arg.slice(2).split("=", 2);
+    if (SWITCHES.has(key)) {
+      flags[key] = true;
+      continue;
+    }
+    flags[key] = inline ?? rest[++i];
+
+    if (flags[key] === undefined) {
+      throw new Error(`Missing value for --${key}`);
+    }
+  }
+
+  return { command, flags };
+}
+
+function loadConfig(file) {
+  const configPath = path.resolve(process.cwd(), file || "domainex.config.js");
+  return require(configPath);
+}
+
+async function runPrerender(flags) {
+  const config = loadConfig(flags.config);
+  const dx = new DomainEx(config.options);
+
+  const opts = { ...config.prerender };
+  if (flags.out) opts.outDir = path.resolve(process.cwd(), flags.out);
+  // Cleaning is asked for per run, never by the config
+  opts.clean = flags.clean === true;
+
+  const report = await dx.prerender(config.routes, opts);
+
+  console.log(
+    `\nPrerendered ${report.pages.length} page(s) to ${report.outDir}` +
+      (report.skipped.length ? `, skipped ${report.skipped.length} route(s)` : "") +
+      (report.failures.length ? `, ${report.failures.length} failed` : "")
+  );
+
+  for (const { route, path: urlPath, error } of report.failures) {
+    console.error(`❌ ${urlPath || route}: ${error?.message || error}`);
+  }
+
+  return report.failures.length ? 1 : 0;
+}
+
+async function main() {
+  const { command, flags } = parseArgs(process.argv.slice(2));
+
+  if (command === "prerender") {
+    process.exitCode = await runPrerender(flags);
+    return;
+  }
+
+  console.log(USAGE);
+  process.exitCode = command && command !== "help" ? 1 : 0;
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exitCode = 1;
+});
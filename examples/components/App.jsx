@@ -1,9 +1,20 @@
+import { Head } from "../lib/head/react";
+import styles from "./App.module.css";
+
 export default function App(props) {
   const { user = "Guest", title = "React SSR" } = props;
 
   return (
     <div className="wrap">
-      <h1>{title}</h1>
+      <Head
+        title={title}
+        meta={[
+          { name: "description", content: `${title}, rendered for ${user}` },
+          { property: "og:title", content: title },
+        ]}
+      />
+
+      <h1 className={styles.title}>{title}</h1>
 
       <div className="card">
         <p>
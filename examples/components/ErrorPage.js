@@ -0,0 +1,24 @@
+module.exports = function ErrorPage(props) {
+  // stack and codeFrame are only passed in dev mode
+  const { status = 500, title = "Error", message = "", stack, codeFrame } = props;
+
+  return {
+    html: `
+    <div class="wrap">
+      <h1>${escapeHtml(title)}</h1>
+
+      <div class="card">
+        <p>${escapeHtml(message)}</p>
+        ${codeFrame ? `<pre>${escapeHtml(codeFrame)}</pre>` : ""}
+        ${stack ? `<pre>${escapeHtml(stack)}</pre>` : ""}
+        <p><a href="/">Back to the start</a></p>
+      </div>
+    </div>
+  `,
+    head: { title: `Error ${status}`, meta: [{ name: "robots", content: "noindex" }] },
+  };
+};
+
+function escapeHtml(str) {
+  return String(str).replace(/[&<>"']/g, (c) => `&#${c.charCodeAt(0)};`);
+}
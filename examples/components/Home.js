@@ -2,7 +2,7 @@ module.exports = function Home(props) {
   const user = props.user || "Guest";
   const title = props.title || "Vanilla SSR";
 
-  return `
+  const html = `
     <div class="wrap">
       <h1>${title}</h1>
 
@@ -33,4 +33,23 @@ module.exports = function Home(props) {
       </div>
     </div>
   `;
+
+  // <head> tags for this page (see lib/head/index.js)
+  const head = {
+    title,
+    meta: [{ property: "og:title", content: title }],
+    jsonLd: { "@context": "https://schema.org", "@type": "WebPage", name: title },
+  };
+
+  return { html, head };
+};
+
+// Runs before render; the result is merged into props
+module.exports.loader = async ({ params, query }) => {
+  const user = params.user || query.user;
+
+  // /vanilla/me is an alias for the anonymous page
+  if (user === "me") return { redirect: "/vanilla" };
+
+  return user ? { user } : {};
 };
@@ -0,0 +1,21 @@
+module.exports = function NotFound(props) {
+  const url = props.url || "/";
+
+  return {
+    html: `
+    <div class="wrap">
+      <h1>Page not found</h1>
+
+      <div class="card">
+        <p>Nothing lives at <code>${escapeHtml(url)}</code>.</p>
+        <p><a href="/">Back to the start</a></p>
+      </div>
+    </div>
+  `,
+    head: { title: "Not Found", meta: [{ name: "robots", content: "noindex" }] },
+  };
+};
+
+function escapeHtml(str) {
+  return String(str).replace(/[&<>"']/g, (c) => `&#${c.charCodeAt(0)};`);
+}
@@ -0,0 +1,5 @@
+import styles from "./Card.module.css";
+
+export default function Card({ title }) {
+  return <div className={`card ${styles.card}`}>{title}</div>;
+}
@@ -0,0 +1,12 @@
+import { Head } from "../../lib/head/react";
+import Card from "./Card";
+
+export default function Dashboard({ user = "admin" }) {
+  return (
+    <div className="wrap">
+      <Head title="Admin dashboard" />
+      <h1>Dashboard</h1>
+      <Card title={`Signed in as ${user}`} />
+    </div>
+  );
+}
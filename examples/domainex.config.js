@@ -0,0 +1,28 @@
+"use strict";
+
+const path = require("path");
+
+/**
+ * Config read by cli.js.
+ */
+module.exports = {
+  options: {
+    distPath: path.join(__dirname, "dist"),
+    templatePath: path.join(__dirname, "template.html"),
+    cache: false,
+    logger: console,
+    errorComponent: "ErrorPage",
+    notFoundComponent: "NotFound",
+
+    // Extra framework adapters, also used by build.js
+    adapters: {},
+  },
+
+  routes: require("./routes"),
+
+  prerender: {
+    outDir: path.join(__dirname, "out"),
+    staticDir: path.join(__dirname, "dist/assets"),
+    staticUrlPrefix: "/assets",
+  },
+};
@@ -0,0 +1,376 @@
+// Type definitions for domainex.js
+
+import type { IncomingMessage, ServerResponse, Server } from "http";
+import type { Readable } from "stream";
+
+import type { HeadInput, HeadCollector } from "./lib/head";
+
+declare namespace DomainEx {
+  type Props = Record<string, unknown>;
+
+  type Params = Record<string, string | undefined>;
+
+  type Query = Record<string, string>;
+
+  interface Logger {
+    log?(...args: unknown[]): void;
+    warn?(...args: unknown[]): void;
+    error?(...args: unknown[]): void;
+  }
+
+  /** Cached page, as kept by a CacheStore. */
+  interface CacheEntry {
+    html: string;
+    ts: number;
+    tags: string[];
+  }
+
+  /** Storage behind the render cache (see lib/cache.js). Methods may be async. */
+  interface CacheStore {
+    get(key: string): CacheEntry | undefined | Promise<CacheEntry | undefined>;
+    set(key: string, entry: CacheEntry): void | Promise<void>;
+    delete(key: string): void | Promise<void>;
+    clear(): void | Promise<void>;
+    keys(): Iterable<string> | Promise<Iterable<string>>;
+    peek?(key: string): CacheEntry | undefined | Promise<CacheEntry | undefined>;
+  }
+
+  /** Context handed to adapter render functions. */
+  interface AdapterContext {
+    dx: DomainEx;
+    logger: Logger | null;
+    head: HeadCollector;
+  }
+
+  interface SourceMapLike {
+    version: number;
+    sources: string[];
+    mappings: string;
+    [key: string]: unknown;
+  }
+
+  type RenderResult = string | { html: string; head?: HeadInput };
+
+  type Chunks = Iterable<string | Uint8Array> | AsyncIterable<string | Uint8Array>;
+
+  /** Framework adapter (see lib/adapters/index.js). */
+  interface Adapter {
+    extensions?: string[];
+    detect?(mod: unknown): boolean;
+    render(mod: unknown, props: Props, ctx: AdapterContext): RenderResult | Promise<RenderResult>;
+    renderStream?(mod: unknown, props: Props, ctx: AdapterContext): Chunks | Promise<Chunks>;
+    buildServer?(
+      filePath: string,
+      info: { name: string; fileName: string }
+    ): BuildOutput | Promise<BuildOutput>;
+    buildClient?(
+      filePath: string,
+      info: { name: string; fileName: string; bundle: (opts: BundleOptions) => Promise<string> }
+    ): Promise<string>;
+  }
+
+  type BuildOutput = string | { code: string; map?: SourceMapLike | string | null };
+
+  interface BundleOptions {
+    contents: string;
+    sourcefile: string;
+    plugins?: unknown[];
+    define?: Record<string, string>;
+  }
+
+  interface Options {
+    /** Built server modules. Default: `<cwd>/dist` */
+    distPath?: string;
+    /** Page template. Default: `<cwd>/template.html` */
+    templatePath?: string;
+    /** `{{> name}}` partials. Default: `partials/` next to the template */
+    partialsPath?: string;
+    /** Named layouts. Default: `layouts/` next to the template */
+    layoutsPath?: string;
+
+    /** Render cache on/off. Default: true */
+    cache?: boolean;
+    /** Milliseconds a cached page is fresh. Default: 5 minutes */
+    cacheMaxAge?: number;
+    /** Milliseconds a stale page is still served while re-rendering. Default: 0 */
+    staleWhileRevalidate?: number;
+    /** Entry limit of the default in-memory store. Default: 500 */
+    cacheMaxEntries?: number;
+    /** Byte limit of the default in-memory store. Default: 50 MB */
+    cacheMaxBytes?: number;
+    /** Replaces the in-memory store. */
+    cacheStore?: CacheStore | null;
+
+    /** Milliseconds a loader() may take; 0 disables the limit. Default: 10000 */
+    loaderTimeout?: number;
+
+    /** Component rendered for error responses. */
+    errorComponent?: string | null;
+    /** Component rendered for 404 responses. */
+    notFoundComponent?: string | null;
+
+    /** Show stacks and code frames on error pages. Default: false */
+    dev?: boolean;
+    logger?: Logger | null;
+    /** Most component modules kept loaded; least recently used are unloaded past it. 0 = no limit. Default: 0 */
+    maxLoadedComponents?: number;
+
+    /**
+     * Render in this many worker threads; `true` = one per CPU but one, 0 = off. Default: 0
+     *
+     * Props are structured-cloned into the worker: functions fail the render,
+     * class instances arrive as plain objects. Main-thread renders take any props.
+     */
+    renderWorkers?: number | boolean;
+    /** Milliseconds a worker render may take before it fails; 0 = no limit. Default: 10000 */
+    renderTimeout?: number;
+    /** Heap limit of each render worker in MB; 0 = Node's default. Default: 0 */
+    renderWorkerMaxMemory?: number;
+
+    /** What a component that throws while rendering gets: the error page, or a client-rendered shell. Default: "error" */
+    renderFallback?: "error" | "client";
+    /** Failed renders of one component that make SSR skip it for a while; 0 = never skip. Default: 5 */
+    renderFailureThreshold?: number;
+    /** Milliseconds within which those failures count. Default: 60000 */
+    renderFailureWindow?: number;
+    /** Milliseconds SSR is skipped before it is tried again. Default: 30000 */
+    renderRetryAfter?: number;
+
+    /** Send a Server-Timing header with each page's render phases. Default: true */
+    serverTiming?: boolean;
+
+    /** Watch the manifest, template, partials and layouts and reload what changed. Default: `dev` */
+    hotReload?: boolean;
+    /** Reload open pages after a hot reload. Default: `hotReload` */
+    liveReload?: boolean;
+    /** URL of the live-reload event stream. Default: "/__domainex/live-reload" */
+    liveReloadPath?: string;
+
+    /** Client bundles. Default: `<distPath>/assets` */
+    assetsDir?: string;
+    /** URL prefix the browser loads client bundles from. Default: "/assets" */
+    assetsUrl?: string;
+    /** Inject hydration scripts. Default: true */
+    hydrate?: boolean;
+    /** id of the element wrapping `{{content}}`. Default: "root" */
+    rootId?: string;
+
+    /** Extra framework adapters, by name. */
+    adapters?: Record<string, Adapter>;
+  }
+
+  interface RenderOptions {
+    /** Extra cache tags for `invalidate({ tags })`. */
+    tags?: string[];
+    /** Named layout to wrap the page in. */
+    layout?: string;
+    /** Passed to the component's loader(). */
+    req?: IncomingMessage;
+    params?: Params;
+    query?: Query;
+    loaderTimeout?: number;
+    /** false: fail instead of sending a client-rendered shell. Default: true */
+    fallback?: boolean;
+    /** Called when the page is a client-rendered shell (not cached). */
+    onFallback?: () => void;
+    /** Receives the render's phases, e.g. for a Server-Timing header (lib/metrics.js ServerTiming). */
+    timing?: { add(name: string, ms: number | null, desc?: string): void };
+  }
+
+  /** Cache-Control policy for a route or middleware. Ages are in seconds. */
+  interface CachePolicy {
+    cacheControl?: string;
+    maxAge?: number;
+    sMaxAge?: number;
+    private?: boolean;
+  }
+
+  type CacheTags = string[] | ((props: Props, req: IncomingMessage) => string[] | Promise<string[]>);
+
+  interface Route extends CachePolicy {
+    /** Component name: its path below components/ without extension, e.g. "admin/Dashboard" */
+    component: string;
+    props?: Props | ((req: IncomingMessage & { params: Params }, params: Params) => Props | Promise<Props>);
+    /** Response status, e.g. 404 for a catch-all route. Default: 200 */
+    status?: number;
+    stream?: boolean;
+    layout?: string;
+    cacheTags?: CacheTags;
+    /** Params to prerender for a dynamic route. */
+    staticParams?: Params[] | (() => Params[] | Promise<Params[]>);
+  }
+
+  /** URL pattern (`/users/:id`, `/docs/*`, `*`) -> route. */
+  type Routes = Record<string, Route>;
+
+  interface ServerOptions {
+    /** Directory served before routing. */
+    staticDir?: string;
+    /** URL prefix for `staticDir`. Default: "/" */
+    staticUrlPrefix?: string;
+    /** Serve the render metrics in Prometheus text format at this path, e.g. "/metrics". */
+    metricsPath?: string;
+  }
+
+  interface MiddlewareOptions extends CachePolicy {
+    stream?: boolean;
+    layout?: string;
+    cacheTags?: CacheTags;
+  }
+
+  interface LoaderContext {
+    params: Params;
+    query: Query;
+    req?: IncomingMessage;
+    props: Props;
+    signal: AbortSignal;
+  }
+
+  type LoaderResult =
+    | Props
+    | { notFound: true }
+    | { redirect: string; status?: 301 | 302 | 303 | 307 | 308 }
+    | null
+    | undefined;
+
+  /** Signature of a component module's `loader` export. */
+  type Loader = (ctx: LoaderContext) => LoaderResult | Promise<LoaderResult>;
+
+  /** Props of the errorComponent / notFoundComponent. */
+  interface ErrorProps {
+    status: number;
+    title: string;
+    message: string;
+    url: string;
+    /** Dev only */
+    stack?: string;
+    /** Dev only */
+    codeFrame?: string | null;
+  }
+
+  interface PrerenderOptions extends ServerOptions {
+    /** Default: `<cwd>/out` */
+    outDir?: string;
+    /** Empty outDir first; a non-empty one must be an earlier export. Default: false */
+    clean?: boolean;
+  }
+
+  interface PrerenderReport {
+    outDir: string;
+    pages: { route: string; path: string | null; file: string }[];
+    failures: { route: string; path: string | null; error: unknown }[];
+    skipped: { route: string; path?: string | null; reason: string }[];
+  }
+
+  interface PhaseStats {
+    count: number;
+    totalMs: number;
+    avgMs: number;
+    maxMs: number;
+  }
+
+  interface ComponentMetrics {
+    renders: { ok: number; fallback: number; error: number };
+    errorRate: number;
+    cache: { hit: number; stale: number; miss: number; shared: number };
+    /** (hit + stale) / lookups */
+    hitRatio: number;
+    /** By phase: "props", "loader", "render", "template", "total" */
+    phases: Record<string, PhaseStats>;
+  }
+
+  /** Result of dx.metrics(). */
+  interface MetricsSnapshot {
+    inflightRenders: number;
+    loadedComponents: number;
+    components: Record<string, ComponentMetrics>;
+  }
+
+  interface InvalidateOptions {
+    component?: string;
+    tag?: string;
+    tags?: string[];
+  }
+
+  type Request = IncomingMessage & { params?: Params; query?: Query };
+
+  type Middleware = (req: Request, res: ServerResponse, next: (err?: unknown) => void) => Promise<void>;
+
+  type ErrorHandler = (
+    err: unknown,
+    req: Request,
+    res: ServerResponse,
+    next: (err?: unknown) => void
+  ) => void;
+}
+
+declare class DomainEx {
+  constructor(options?: DomainEx.Options);
+
+  readonly options: Required<Omit<DomainEx.Options, "adapters" | "cacheStore" | "logger">> &
+    Pick<DomainEx.Options, "adapters" | "cacheStore" | "logger">;
+  readonly isInitialized: boolean;
+  readonly adapters: Map<string, DomainEx.Adapter>;
+  /** Cache-miss renders and background refreshes in progress; concurrent requests for a page share one. */
+  readonly inflightRenders: number;
+
+  registerAdapter(name: string, adapter: DomainEx.Adapter): this;
+  getAdapter(name: string): DomainEx.Adapter;
+  adapterForFile(fileName: string): { name: string; adapter: DomainEx.Adapter; ext: string } | null;
+
+  initialize(): Promise<void>;
+  /** Require components before their first render. Default: all components. */
+  preload(componentNames?: Iterable<string>): Promise<void>;
+  /** Stop watching files, end live-reload connections and stop the render workers. */
+  close(): void;
+  /** Render timings, results and cache lookups per component. */
+  metrics(): DomainEx.MetricsSnapshot;
+
+  render(componentName: string, props?: DomainEx.Props, options?: DomainEx.RenderOptions): Promise<string>;
+  renderStream(
+    componentName: string,
+    props?: DomainEx.Props,
+    options?: DomainEx.RenderOptions
+  ): Promise<Readable>;
+
+  createMiddleware(
+    componentName: string,
+    propsExtractor?: (req: DomainEx.Request) => DomainEx.Props | Promise<DomainEx.Props>,
+    options?: DomainEx.MiddlewareOptions
+  ): DomainEx.Middleware;
+  createErrorHandler(): DomainEx.ErrorHandler;
+  createLiveReloadMiddleware(): (req: DomainEx.Request, res: ServerResponse, next: () => void) => void;
+  /** Serves the metrics in Prometheus text format. */
+  createMetricsHandler(): (req: DomainEx.Request, res: ServerResponse) => void;
+  createServer(port: number, routes?: DomainEx.Routes, opts?: DomainEx.ServerOptions): Promise<Server>;
+
+  prerender(routes?: DomainEx.Routes, opts?: DomainEx.PrerenderOptions): Promise<DomainEx.PrerenderReport>;
+
+  invalidate(options: DomainEx.InvalidateOptions): Promise<number>;
+  clearCache(): Promise<void>;
+
+  fixStacktrace<E>(err: E): E;
+
+  static HttpError: typeof HttpError;
+  static NotFoundError: typeof NotFoundError;
+  static RedirectError: typeof RedirectError;
+}
+
+declare class HttpError extends Error {
+  constructor(status?: number, message?: string);
+  readonly status: number;
+  /** True for 4xx: the message is safe to show. */
+  readonly expose: boolean;
+}
+
+declare class NotFoundError extends HttpError {
+  constructor(message?: string);
+  readonly status: 404;
+}
+
+declare class RedirectError extends HttpError {
+  constructor(location: string, status?: 301 | 302 | 303 | 307 | 308);
+  readonly location: string;
+}
+
+export = DomainEx;
@@ -4,141 +4,696 @@ const fs = require("fs");
 const path = require("path");
 const http = require("http");
 const crypto = require("crypto");
+const { Readable } = require("stream");
+
+const { compileRoutes, matchRoute } = require("./lib/router");
+const { createStaticHandler } = require("./lib/static");
+const { prerender } = require("./lib/prerender");
+const { BUILTIN_ADAPTERS, validateAdapter } = require("./lib/adapters");
+const { RenderCache, MemoryStore } = require("./lib/cache");
+const { etagMatches, cacheControlHeader } = require("./lib/http-cache");
+const { compile: compileTemplate, loadPartials, escapeHtml } = require("./lib/template");
+const { loadLayouts, layoutChain } = require("./lib/layouts");
+const { HeadCollector } = require("./lib/head");
+const { HttpError, NotFoundError, RedirectError, statusOf } = require("./lib/errors");
+const { renderErrorPage, locateError } = require("./lib/error-page");
+const { loadSourceMap, remapStack } = require("./lib/sourcemap");
+const { LiveReload, watchPaths } = require("./lib/live-reload");
+const { RenderPool } = require("./lib/render-pool");
+const { CircuitBreaker } = require("./lib/circuit-breaker");
+const { Metrics, ServerTiming } = require("./lib/metrics");
+
+// Set on errors whose stack fixStacktrace() already rewrote
+const STACK_REMAPPED = Symbol("domainex.stackRemapped");
+
+// Stands in for {{content}} while the template renders, so the page can be
+// split around it. Contains nothing the escaper would touch.
+const CONTENT_MARKER = "\u0000domainex:content\u0000";
+
+// Cache policy of client-rendered shells (renderFallback)
+const NO_STORE = { cacheControl: "no-store" };
 
 class DomainEx {
   constructor(options = {}) {
     this.options = {
       distPath: options.distPath || path.join(process.cwd(), "dist"),
       templatePath: options.templatePath || path.join(process.cwd(), "template.html"),
+      // *.html files here are available as {{> name}} in the template
+      partialsPath:
+        options.partialsPath ||
+        path.join(
+          path.dirname(options.templatePath || path.join(process.cwd(), "template.html")),
+          "partials"
+        ),
+      // Named layouts for render(..., { layout }) and routes (see lib/layouts.js)
+      layoutsPath:
+        options.layoutsPath ||
+        path.join(
+          path.dirname(options.templatePath || path.join(process.cwd(), "template.html")),
+          "layouts"
+        ),
 
       cache: options.cache ?? true,
       cacheMaxAge: options.cacheMaxAge ?? 1000 * 60 * 5,
-
+      // Serve expired pages for this long while re-rendering in the background
+      staleWhileRevalidate: options.staleWhileRevalidate ?? 0,
+      // Bounds for the default in-memory LRU store
+      cacheMaxEntries: options.cacheMaxEntries ?? 500,
+      cacheMaxBytes: options.cacheMaxBytes ?? 50 * 1024 * 1024,
+      // Custom store (see lib/cache.js), replaces the in-memory LRU
+      cacheStore: options.cacheStore ?? null,
+
+      // Max time (ms) a component's loader() may take; 0 disables the limit
+      loaderTimeout: options.loaderTimeout ?? 10000,
+
+      // Components rendered (with the normal template) for error responses.
+      // They get { status, title, message, url } props, plus `stack` and
+      // `codeFrame` (the failing source line, or null) in dev.
+      errorComponent: options.errorComponent ?? null,
+      notFoundComponent: options.notFoundComponent ?? null,
+
+      // Dev shows stacks and code frames on error pages; never enable in production
       dev: options.dev ?? false,
       logger: options.logger ?? console,
 
-      // If true, reload dist files on every request (dev convenience)
+      // Most component modules kept in memory; the least recently used are
+      // unloaded past it and required again when next rendered. 0 = no limit
+      maxLoadedComponents: options.maxLoadedComponents ?? 0,
+
+      // Render in this many worker threads (lib/render-pool.js) instead of on
+      // the main event loop; true = one per CPU but one, 0 = off
+      renderWorkers: options.renderWorkers ?? 0,
+      // Milliseconds a worker render may take before it fails and its
+      // worker is replaced; 0 = no limit. Main-thread renders can't be stopped
+      renderTimeout: options.renderTimeout ?? 10000,
+      // Heap limit (MB) of each render worker; a worker past it is replaced. 0 = Node's default
+      renderWorkerMaxMemory: options.renderWorkerMaxMemory ?? 0,
+
+      // What is sent when a component throws while rendering: "error" (the
+      // error page) or "client" (the page with an empty root and the props,
+      // for its client bundle to render in the browser). HttpErrors always
+      // get the error page
+      renderFallback: options.renderFallback ?? "error",
+      // With renderFallback "client": after renderFailureThreshold failed
+      // renders of a component within renderFailureWindow ms, skip SSR for
+      // it for renderRetryAfter ms, then try again (lib/circuit-breaker.js).
+      // 0 = never skip
+      renderFailureThreshold: options.renderFailureThreshold ?? 5,
+      renderFailureWindow: options.renderFailureWindow ?? 60000,
+      renderRetryAfter: options.renderRetryAfter ?? 30000,
+
+      // Send a Server-Timing header with the phases of each page render
+      // (props, loader, render, template, total) and the cache outcome
+      serverTiming: options.serverTiming ?? true,
+
+      // If true, watch dist/manifest.json, the template, partials and layouts,
+      // and reload what changed (only the components whose build changed)
       hotReload: options.hotReload ?? (options.dev ?? false),
+      // If true, pages reload in the browser after a hot reload (see lib/live-reload.js)
+      liveReload: options.liveReload ?? (options.hotReload ?? (options.dev ?? false)),
+      // URL of the Server-Sent Events stream live-reloading pages listen to
+      liveReloadPath: options.liveReloadPath ?? "/__domainex/live-reload",
+
+      // Client bundles emitted by build.js, and where the browser fetches them
+      assetsDir:
+        options.assetsDir ||
+        path.join(options.distPath || path.join(process.cwd(), "dist"), "assets"),
+      assetsUrl: options.assetsUrl ?? "/assets",
+
+      // Inject hydration scripts for components that have a client bundle
+      hydrate: options.hydrate ?? true,
+      // id of the element wrapping {{content}} in the template
+      rootId: options.rootId ?? "root",
 
       ...options,
     };
 
     this.template = null;
+    this.layouts = new Map(); // name -> { name, parent, render }
     this.isInitialized = false;
 
-    this.cache = new Map(); // key -> { html, ts }
-    this.componentMap = new Map(); // name -> { module, framework }
+    this.cache = new RenderCache({
+      store:
+        this.options.cacheStore ||
+        new MemoryStore({
+          maxEntries: this.options.cacheMaxEntries,
+          maxBytes: this.options.cacheMaxBytes,
+        }),
+      maxAge: this.options.cacheMaxAge,
+      staleWhileRevalidate: this.options.staleWhileRevalidate,
+      logger: this.options.logger,
+    });
+    this.componentMap = new Map(); // name -> { name, file, module, framework, client, hash }
+    this.loadedComponents = new Map(); // name -> entry with a module, least recently used first
+    this.sourceMaps = new Map(); // dist file -> loadSourceMap() result, loaded on demand
+
+    this.adapters = new Map(); // framework name -> adapter
+
+    this.liveReload = this.options.liveReload
+      ? new LiveReload({ path: this.options.liveReloadPath, logger: this.options.logger })
+      : null;
+    this._stopWatching = null;
+    this._reloading = Promise.resolve(); // reloads run one at a time
+    this.renderPool = null; // started by initialize() when renderWorkers is set
+    this._mainThreadFrameworks = new Set(); // custom adapters already warned about
+
+    // Phase timings, results and cache outcomes per component (lib/metrics.js)
+    this.renderMetrics = new Metrics();
+
+    // Components that keep failing to render (renderFallback "client")
+    this.breaker = new CircuitBreaker({
+      threshold: this.options.renderFailureThreshold,
+      window: this.options.renderFailureWindow,
+      retryAfter: this.options.renderRetryAfter,
+    });
+    for (const [name, adapter] of Object.entries(BUILTIN_ADAPTERS)) {
+      this.registerAdapter(name, adapter);
+    }
+    for (const [name, adapter] of Object.entries(options.adapters || {})) {
+      this.registerAdapter(name, adapter);
+    }
   }
 
   // ---------------------------
   // Public API
   // ---------------------------
 
+  /**
+   * Add (or replace) a framework adapter. See lib/adapters/index.js for
+   * the adapter shape.
+   *
+   *   dx.registerAdapter("preact", { extensions: [".preact.jsx"], render, ... })
+   */
+  registerAdapter(name, adapter) {
+    validateAdapter(name, adapter);
+
+    // Re-inserting moves the name to the end, so it is asked first in detect
+    this.adapters.delete(name);
+    this.adapters.set(name, adapter);
+    return this;
+  }
+
+  getAdapter(name) {
+    const adapter = this.adapters.get(name);
+    if (!adapter) {
+      throw new Error(`[DomainEx] No adapter registered for framework "${name}".`);
+    }
+    return adapter;
+  }
+
+  /**
+   * Adapter that builds a given source file, by extension.
+   * Longest matching extension wins, so ".server.js" beats ".js".
+   * Returns { name, adapter, ext } or null.
+   */
+  adapterForFile(fileName) {
+    let found = null;
+
+    for (const [name, adapter] of this.adapters) {
+      for (const ext of adapter.extensions || []) {
+        if (fileName.endsWith(ext) && (!found || ext.length > found.ext.length)) {
+          found = { name, adapter, ext };
+        }
+      }
+    }
+
+    return found;
+  }
+
   async initialize() {
     if (this.isInitialized) return;
 
     await this._loadTemplate();
     await this._loadComponents();
 
+    for (const key of ["errorComponent", "notFoundComponent"]) {
+      const name = this.options[key];
+      if (name && !this.componentMap.has(name)) {
+        this.options.logger?.warn?.(`[DomainEx] ${key} "${name}" not found in dist folder.`);
+      }
+    }
+
+    if (this.options.hotReload) this._watch();
+
+    if (this.options.renderWorkers && !this.renderPool) {
+      this.renderPool = new RenderPool({
+        size: this.options.renderWorkers === true ? 0 : this.options.renderWorkers,
+        timeout: this.options.renderTimeout,
+        maxMemoryMb: this.options.renderWorkerMaxMemory,
+        logger: this.options.logger,
+      });
+    }
+
     this.isInitialized = true;
     this.options.logger?.log?.("[DomainEx] Initialized.");
   }
 
-  async render(componentName, props = {}) {
+  /**
+   * Require components ahead of their first render, e.g. the pages that
+   * must answer fast right after startup. Without names, every component
+   * is loaded (the most recent ones, if maxLoadedComponents is lower).
+   * Unknown names reject.
+   *
+   *   await dx.preload(["App", "admin/Dashboard"]);
+   */
+  async preload(componentNames) {
+    if (!this.isInitialized) await this.initialize();
+
+    const names = componentNames ? [...componentNames] : [...this.componentMap.keys()];
+
+    const max = this.options.maxLoadedComponents;
+    if (componentNames && max && names.length > max) {
+      this.options.logger?.warn?.(
+        `[DomainEx] preload() of ${names.length} components exceeds maxLoadedComponents (${max}); the first ones are unloaded again.`
+      );
+    }
+
+    for (const name of names) this._getEntry(name);
+  }
+
+  /**
+   * Stop watching files (hotReload), end live-reload connections and stop
+   * the render workers.
+   */
+  close() {
+    this._stopWatching?.();
+    this._stopWatching = null;
+    this.liveReload?.close();
+    this.renderPool?.close();
+    this.renderPool = null;
+  }
+
+  /**
+   * options:
+   *  - tags:   extra cache tags for dx.invalidate({ tags }); every entry is
+   *            also tagged "component:<name>"
+   *  - layout: name of a layout in layoutsPath to wrap the page in
+   *  - req, params, query: passed to the component's loader()
+   *  - loaderTimeout: overrides the loaderTimeout option
+   *  - fallback: false to fail instead of sending a client-rendered shell
+   *              (renderFallback "client")
+   *  - onFallback: called when the page is such a shell; shells aren't cached
+   *  - timing:  ServerTiming (lib/metrics.js) to add this render's phases to
+   *
+   * If the component module exports `loader({ params, query, req, props, signal })`,
+   * its result is merged into props first. A loader returning
+   * `{ notFound: true }` or `{ redirect: "/path", status }` makes render()
+   * throw a NotFoundError or RedirectError (see lib/errors.js). The loader
+   * runs on every call: its result is part of the cache key, so pages that
+   * depend on the request (cookies, headers) aren't shared between users.
+   */
+  async render(componentName, props = {}, options = {}) {
     if (!this.isInitialized) await this.initialize();
 
-    if (this.options.hotReload) {
-      // In dev mode we reload components each request
-      await this._loadComponents();
+    const timer = this.renderMetrics.timer(componentName, options.timing);
+
+    let page;
+    try {
+      page = await this._render(componentName, props, options, timer);
+    } catch (err) {
+      // Unknown component names don't get metrics of their own
+      if (this.componentMap.has(componentName)) timer.fail(err);
+      throw err;
+    }
+
+    timer.end(page.shell ? "fallback" : "ok");
+    if (page.shell) options.onFallback?.();
+
+    return page.html;
+  }
+
+  /**
+   * render() without the bookkeeping. Resolves to { html, shell }.
+   */
+  async _render(componentName, props, options, timer) {
+    // Fails for unknown components before anything is timed
+    this._getEntry(componentName);
+
+    props = await timer.phase("loader", () => this._runLoader(componentName, props, options));
+
+    if (!this.options.cache) return this._renderPage(componentName, props, options, timer);
+
+    const cacheKey = this._cacheKey(componentName, props, options.layout);
+
+    const cached = await this.cache.lookup(cacheKey);
+    if (cached) {
+      timer.cache(cached.stale ? "stale" : "hit");
+      if (cached.stale) this._revalidate(cacheKey, componentName, props, options);
+      return { html: cached.html, shell: false };
     }
 
-    const cacheKey = this._cacheKey(componentName, props);
+    // Concurrent misses for the same page wait for one render
+    timer.cache(this.cache.inflight.has(cacheKey) ? "shared" : "miss");
+    return this.cache.singleFlight(cacheKey, () =>
+      this._renderAndCache(cacheKey, componentName, props, options, timer)
+    );
+  }
+
+  /**
+   * Renders in progress for cache misses and stale-while-revalidate
+   * refreshes. Concurrent requests for the same page count once.
+   */
+  get inflightRenders() {
+    return this.cache.inflightCount;
+  }
+
+  /**
+   * Snapshot of the render metrics (see lib/metrics.js): per component,
+   * render results and error rate, cache lookups and hit ratio, and phase
+   * timings in ms.
+   */
+  metrics() {
+    return this.renderMetrics.snapshot({
+      inflightRenders: this.inflightRenders,
+      loadedComponents: this.loadedComponents.size,
+    });
+  }
 
-    if (this.options.cache) {
-      const cached = this.cache.get(cacheKey);
-      if (cached && Date.now() - cached.ts < this.options.cacheMaxAge) {
-        return cached.html;
+  /**
+   * Streaming variant of render().
+   *
+   * Resolves to a Readable that emits the template head as soon as the
+   * framework has its first markup ready (for React, the shell outside
+   * <Suspense>), then the rest of the component markup as it is produced,
+   * then the template tail. <head> tags that components add after the head
+   * was sent are dropped with a warning.
+   * Rejects before any bytes are produced if the component does not exist.
+   * Cache misses are shared with render(): a stream that joins a running
+   * render gets the page in one chunk.
+   */
+  async renderStream(componentName, props = {}, options = {}) {
+    if (!this.isInitialized) await this.initialize();
+
+    const timer = this.renderMetrics.timer(componentName, options.timing);
+
+    let cacheKey;
+    let flight = null; // settles the render that concurrent misses wait for
+    try {
+      // Fails for unknown components before anything is timed
+      this._getEntry(componentName);
+
+      props = await timer.phase("loader", () => this._runLoader(componentName, props, options));
+
+      if (this.options.cache) {
+        cacheKey = this._cacheKey(componentName, props, options.layout);
+
+        const cached = await this.cache.lookup(cacheKey);
+        if (cached) {
+          timer.cache(cached.stale ? "stale" : "hit");
+          if (cached.stale) this._revalidate(cacheKey, componentName, props, options);
+          timer.end("ok");
+          return Readable.from([cached.html]);
+        }
+
+        // A render of this page is already running: wait for it and send
+        // the page in one chunk
+        const running = this.cache.inflight.get(cacheKey);
+        if (running) {
+          timer.cache("shared");
+          const page = await running;
+          timer.end(page.shell ? "fallback" : "ok");
+          if (page.shell) options.onFallback?.();
+          return Readable.from([page.html]);
+        }
+
+        // Otherwise this stream is the render the others wait for
+        timer.cache("miss");
+        flight = { settled: false };
+        const done = new Promise((resolve, reject) => {
+          flight.resolve = (page) => {
+            flight.settled = true;
+            resolve(page);
+          };
+          flight.reject = (err) => {
+            flight.settled = true;
+            reject(err);
+          };
+        });
+        // Failures reach the waiters and this stream's reader; don't report them twice
+        this.cache.singleFlight(cacheKey, () => done).catch(() => {});
       }
+    } catch (err) {
+      if (this.componentMap.has(componentName)) timer.fail(err);
+      throw err;
     }
 
-    const entry = this.componentMap.get(componentName);
-    if (!entry) {
-      throw new Error(
-        `[DomainEx] Component "${componentName}" not found in dist folder.`
+    const self = this;
+
+    async function* chunks() {
+      // Keep a copy of what we sent so a complete stream can populate the cache
+      const sent = self.options.cache ? [] : null;
+
+      // Resolved when the stream is read, not when it was created: other
+      // renders in between may have unloaded the module (maxLoadedComponents)
+      const entry = self._getEntry(componentName);
+
+      // Resolves once the first markup is ready, so tags collected by then
+      // still make it into <head>. null: send the client-rendered shell
+      const rendered = await timer.phase("render", () =>
+        self._renderOrFallback(componentName, entry, props, options, { stream: true })
       );
-    }
+      const page = { head: rendered?.head, layout: options.layout, shell: !rendered };
+      if (!rendered) options.onFallback?.();
+
+      let body = [];
+
+      if (rendered?.body) {
+        body = rendered.body;
+      } else if (rendered) {
+        // Adapters without a streaming renderer send their markup in one chunk
+        const result = self._normalizeRenderResult(rendered.result);
+        page.extraHead = result.head;
+        body = [result.html];
+      }
 
-    const { module: loaded, framework } = entry;
+      const [head, tail] = await timer.phase("template", () => self._templateParts(props, entry, page));
 
-    let content = "";
+      sent?.push(head);
+      yield head;
 
-    if (framework === "react") {
-      content = await this._renderReact(loaded, props);
-    } else if (framework === "vue") {
-      content = await this._renderVue(loaded, props);
-    } else {
-      content = await this._renderVanilla(loaded, props);
+      for await (const chunk of body) {
+        const str = typeof chunk === "string" ? chunk : Buffer.from(chunk).toString("utf8");
+        sent?.push(str);
+        yield str;
+      }
+
+      sent?.push(tail);
+      yield tail;
+
+      if (sent && rendered) {
+        await self.cache.set(cacheKey, sent.join(""), self._cacheTags(componentName, options));
+      }
+      flight?.resolve({ html: sent.join(""), shell: !rendered });
+
+      timer.end(rendered ? "ok" : "fallback");
+    }
+
+    async function* timed() {
+      try {
+        yield* chunks();
+      } catch (err) {
+        flight?.reject(err);
+        timer.fail(err);
+        throw err;
+      }
     }
 
-    const html = this._applyTemplate(content, props);
+    const stream = Readable.from(timed());
 
-    if (this.options.cache) {
-      this.cache.set(cacheKey, { html, ts: Date.now() });
+    // Destroyed before the end (e.g. the client went away): waiting
+    // requests get a render of their own
+    if (flight) {
+      stream.on("close", () => {
+        if (!flight.settled) flight.resolve(this._renderAndCache(cacheKey, componentName, props, options));
+      });
     }
 
-    return html;
+    return stream;
   }
 
-  createMiddleware(componentName, propsExtractor = (req) => ({})) {
+  createMiddleware(componentName, propsExtractor = (req) => ({}), options = {}) {
     return async (req, res, next) => {
       try {
-        const props = await propsExtractor(req);
+        const timing = this.options.serverTiming ? new ServerTiming(res) : null;
+        const props = await this.renderMetrics
+          .timer(componentName, timing)
+          .phase("props", () => propsExtractor(req));
+
+        let shell = false;
+        const renderOptions = {
+          tags: await this._resolveCacheTags(options.cacheTags, props, req),
+          layout: options.layout,
+          req,
+          params: req.params,
+          timing,
+          onFallback: () => {
+            shell = true;
+            if (!res.headersSent) this._setCacheControl(res, NO_STORE);
+          },
+        };
+
+        if (options.stream) {
+          const stream = await this.renderStream(componentName, props, renderOptions);
+          this._setCacheControl(res, options);
+          res.setHeader("Content-Type", "text/html; charset=utf-8");
+          this._pipeResponse(stream, res, (err) => next(err));
+          return;
+        }
 
-        const html = await this.render(componentName, props);
-        res.setHeader("Content-Type", "text/html; charset=utf-8");
-        res.send(html);
+        const html = await this.render(componentName, props, renderOptions);
+        this._sendHtml(req, res, html, shell ? NO_STORE : options);
       } catch (err) {
-        this.options.logger?.error?.(err);
+        if (err instanceof RedirectError) {
+          this._sendRedirect(res, err);
+          return;
+        }
+
+        // Let the app's own 404 handling take over
+        if (err instanceof NotFoundError) {
+          next();
+          return;
+        }
+
+        // Rendered by createErrorHandler(), if the app uses it
         next(err);
       }
     };
   }
 
+  /**
+   * Express error handler that answers like createServer() does: HttpErrors
+   * keep their status, redirects redirect, and the page is the registered
+   * Error / NotFound component or the built-in error page.
+   *
+   *   app.use((req, res, next) => next(new DomainEx.NotFoundError()));
+   *   app.use(dx.createErrorHandler());
+   */
+  createErrorHandler() {
+    // Express recognizes error handlers by their four parameters
+    return (err, req, res, next) => {
+      if (res.headersSent) {
+        res.destroy(err);
+        return;
+      }
+      this._sendError(req, res, err);
+    };
+  }
+
+  /**
+   * Express middleware serving the live-reload event stream. Mount it
+   * before the page routes; it does nothing when liveReload is off.
+   *
+   *   app.use(dx.createLiveReloadMiddleware());
+   */
+  createLiveReloadMiddleware() {
+    return (req, res, next) => {
+      if (!this.liveReload?.handle(req, res)) next();
+    };
+  }
+
+  /**
+   * Handler serving the render metrics in Prometheus text format.
+   *
+   *   app.get("/metrics", dx.createMetricsHandler());
+   */
+  createMetricsHandler() {
+    return (req, res) => this._sendMetrics(res);
+  }
+
   /**
    * Standalone HTTP server (no express)
    *
    * routes:
    *  {
-   *    "/react": { component: "App", props: (req)=>({}) }
+   *    "/react":     { component: "App", props: (req)=>({}) },
+   *    "/users/:id": { component: "User", props: (req, params)=>({ id: params.id }) },
+   *    "/feed":      { component: "Feed", stream: true },
+   *    "*":          { component: "NotFound", status: 404 }
    *  }
+   *
+   * Patterns support `:param`, optional `:param?`, and `*` catch-alls (see
+   * lib/router.js). Routes are matched in declaration order. `status` sets
+   * the response code, so a trailing "*" route works as the 404 page.
+   * Routes with `stream: true` are sent through renderStream(), and
+   * `layout` wraps the page in a named layout (see lib/layouts.js).
+   * `cacheTags` (array or `(props, req) => array`) tags the cached page for
+   * dx.invalidate(). `cacheControl`, or `maxAge` / `sMaxAge` / `private`
+   * (seconds), set the Cache-Control header (see lib/http-cache.js).
+   *
+   * Props functions, loaders and components may throw HttpError,
+   * NotFoundError or RedirectError (lib/errors.js) to pick the response.
+   * Unmatched URLs render the notFoundComponent, failures the
+   * errorComponent (see the constructor options).
+   *
+   * opts:
+   *  - staticDir:       directory of files to serve before routing (see lib/static.js)
+   *  - staticUrlPrefix: URL prefix those files live under (default "/")
+   *  - metricsPath:     serve the render metrics in Prometheus format at
+   *                     this path, e.g. "/metrics" (off by default)
    */
   async createServer(port, routes = {}, opts = {}) {
     if (!this.isInitialized) await this.initialize();
 
+    const compiledRoutes = compileRoutes(routes);
+
+    const serveStatic = opts.staticDir
+      ? createStaticHandler({ root: opts.staticDir, prefix: opts.staticUrlPrefix || "/" })
+      : null;
+
     const server = http.createServer(async (req, res) => {
       try {
+        if (this.liveReload?.handle(req, res)) return;
+        if (serveStatic && (await serveStatic(req, res))) return;
+
         const pathname = new URL(req.url, "http://localhost").pathname;
 
-        const route = routes[pathname];
-        if (!route) {
-          res.statusCode = 404;
-          res.setHeader("Content-Type", "text/plain; charset=utf-8");
-          res.end("404 Not Found");
+        if (opts.metricsPath && pathname === opts.metricsPath) {
+          this._sendMetrics(res);
           return;
         }
 
-        const props =
-          typeof route.props === "function" ? await route.props(req) : route.props || {};
+        const matched = matchRoute(compiledRoutes, pathname);
+        if (!matched) {
+          await this._sendError(req, res, new NotFoundError());
+          return;
+        }
 
-        const html = await this.render(route.component, props);
+        const { route, params } = matched;
+        req.params = params;
+
+        const timing = this.options.serverTiming ? new ServerTiming(res) : null;
+        const props = await this.renderMetrics
+          .timer(route.component, timing)
+          .phase("props", () =>
+            typeof route.props === "function" ? route.props(req, params) : route.props || {}
+          );
+
+        let shell = false;
+        const renderOptions = {
+          tags: await this._resolveCacheTags(route.cacheTags, props, req),
+          layout: route.layout,
+          req,
+          params,
+          timing,
+          onFallback: () => {
+            shell = true;
+            if (!res.headersSent) this._setCacheControl(res, NO_STORE);
+          },
+        };
+
+        if (route.stream) {
+          const stream = await this.renderStream(route.component, props, renderOptions);
+          res.statusCode = route.status ?? 200;
+          this._setCacheControl(res, route);
+          res.setHeader("Content-Type", "text/html; charset=utf-8");
+          this._pipeResponse(stream, res, (err) => this._sendError(req, res, err));
+          return;
+        }
 
-        res.statusCode = 200;
-        res.setHeader("Content-Type", "text/html; charset=utf-8");
-        res.end(html);
+        const html = await this.render(route.component, props, renderOptions);
+        this._sendHtml(req, res, html, shell ? NO_STORE : route, route.status ?? 200);
       } catch (err) {
-        res.statusCode = 500;
-        res.setHeader("Content-Type", "text/html; charset=utf-8");
-        res.end(this._errorPage(err));
+        await this._sendError(req, res, err);
       }
     });
 
@@ -152,19 +707,486 @@ class DomainEx {
     });
   }
 
+  /**
+   * Static site generation: render every route in `routes` (the same shape
+   * createServer() takes) to <outDir>/<path>/index.html.
+   *
+   * opts: { outDir, staticDir, staticUrlPrefix, clean }
+   * Resolves to a report: { outDir, pages, failures, skipped }.
+   * See lib/prerender.js.
+   */
+  async prerender(routes = {}, opts = {}) {
+    return prerender(this, routes, opts);
+  }
+
+  /**
+   * Drop cached pages by tag.
+   *
+   *   dx.invalidate({ component: "App" })
+   *   dx.invalidate({ tags: ["user:42"] })
+   *
+   * Resolves to the number of entries removed.
+   */
+  async invalidate({ component, tag, tags = [] } = {}) {
+    const wanted = [...tags];
+    if (tag) wanted.push(tag);
+    if (component) wanted.push(`component:${component}`);
+
+    if (!wanted.length) {
+      throw new Error("[DomainEx] invalidate() needs a component or tags.");
+    }
+
+    return this.cache.invalidateTags(wanted);
+  }
+
   clearCache() {
-    this.cache.clear();
+    return this.cache.clear();
+  }
+
+  /**
+   * Point the stack frames of `err` that are inside distPath back at the
+   * original component sources, using the source maps build.js writes.
+   * Rewrites `err.stack` in place (once) and returns `err`. DomainEx does
+   * this itself before logging or showing an error.
+   */
+  fixStacktrace(err) {
+    if (!err || typeof err.stack !== "string" || err[STACK_REMAPPED]) return err;
+
+    err.stack = remapStack(err.stack, (file) => this._sourceMapFor(file));
+    err[STACK_REMAPPED] = true;
+
+    return err;
   }
 
   // ---------------------------
   // Internal
   // ---------------------------
 
+  /**
+   * Render a component into the template. Resolves to { html, shell }, where
+   * `shell` is true for a client-rendered shell (renderFallback).
+   */
+  async _renderPage(componentName, props, options = {}, timer = this.renderMetrics.timer(componentName)) {
+    const entry = this._getEntry(componentName);
+
+    const rendered = await timer.phase("render", () =>
+      this._renderOrFallback(componentName, entry, props, options)
+    );
+    if (!rendered) {
+      const html = await timer.phase("template", () =>
+        this._applyTemplate("", props, entry, { layout: options.layout, shell: true })
+      );
+      return { html, shell: true };
+    }
+
+    const { html: content, head } = this._normalizeRenderResult(rendered.result);
+
+    const html = await timer.phase("template", () =>
+      this._applyTemplate(content, props, entry, {
+        head: rendered.head,
+        extraHead: head,
+        layout: options.layout,
+      })
+    );
+    return { html, shell: false };
+  }
+
+  /**
+   * _runAdapter() for components that may fall back to a client-rendered
+   * shell: resolves to null instead when the render fails (except with an
+   * HttpError) or the circuit breaker skips SSR for the component.
+   *
+   * Only applies with renderFallback "client", to components with a client
+   * bundle, unless options.fallback is false. For streams, only failures
+   * before the first markup count.
+   */
+  async _renderOrFallback(componentName, entry, props, options = {}, runOptions) {
+    const canFallBack =
+      this.options.renderFallback === "client" &&
+      this.options.hydrate &&
+      !!entry.client &&
+      options.fallback !== false;
+
+    if (!canFallBack) return this._runAdapter(componentName, entry, props, runOptions);
+
+    const logger = this.options.logger;
+
+    if (this.breaker.isOpen(componentName)) return null;
+
+    try {
+      const rendered = await this._runAdapter(componentName, entry, props, runOptions);
+
+      if (this.breaker.success(componentName)) {
+        logger?.log?.(`[DomainEx] "${componentName}" rendered again; server rendering is back on.`);
+      }
+      return rendered;
+    } catch (err) {
+      if (err instanceof HttpError) throw err;
+
+      logger?.error?.(
+        `[DomainEx] Rendering "${componentName}" failed; sending the client-rendered shell:`,
+        this.fixStacktrace(err)
+      );
+
+      if (this.breaker.failure(componentName)) {
+        logger?.warn?.(
+          `[DomainEx] "${componentName}" failed ${this.options.renderFailureThreshold} times; skipping server rendering for ${this.options.renderRetryAfter}ms.`
+        );
+      }
+
+      return null;
+    }
+  }
+
+  /**
+   * Run a component's adapter, in a render worker when renderWorkers is on.
+   * Resolves to { head, result } (render()), or to { head, body } with
+   * stream: true and an adapter that has renderStream(). `head` is the
+   * render's HeadCollector.
+   */
+  async _runAdapter(componentName, entry, props, { stream = false } = {}) {
+    const adapter = this.getAdapter(entry.framework);
+    const streaming = stream && typeof adapter.renderStream === "function";
+
+    if (this.renderPool) {
+      // Workers load the built-in adapters themselves; registered adapter
+      // objects can't be sent to them
+      if (adapter === BUILTIN_ADAPTERS[entry.framework]) {
+        const job = { name: componentName, file: entry.file, framework: entry.framework, props };
+        const out = streaming ? await this.renderPool.stream(job) : await this.renderPool.render(job);
+        return { ...out, head: HeadCollector.fromJSON(out.head, { logger: this.options.logger }) };
+      }
+
+      if (!this._mainThreadFrameworks.has(entry.framework)) {
+        this._mainThreadFrameworks.add(entry.framework);
+        this.options.logger?.warn?.(
+          `[DomainEx] "${entry.framework}" is not a built-in adapter; its components render on the main thread.`
+        );
+      }
+    }
+
+    const ctx = this._adapterContext();
+
+    if (streaming) {
+      return { head: ctx.head, body: await adapter.renderStream(entry.module, props, ctx) };
+    }
+    return { head: ctx.head, result: await adapter.render(entry.module, props, ctx) };
+  }
+
+  /**
+   * Render a page and store it under `cacheKey`, unless it is a
+   * client-rendered shell. Resolves to _renderPage()'s { html, shell }.
+   */
+  async _renderAndCache(cacheKey, componentName, props, options, timer) {
+    const page = await this._renderPage(componentName, props, options, timer);
+    if (!page.shell) await this.cache.set(cacheKey, page.html, this._cacheTags(componentName, options));
+    return page;
+  }
+
+  _revalidate(cacheKey, componentName, props, options) {
+    this.cache.revalidate(cacheKey, async () => {
+      try {
+        // A shell leaves the stale page in place
+        return await this._renderAndCache(cacheKey, componentName, props, options);
+      } catch (err) {
+        throw this.fixStacktrace(err);
+      }
+    });
+  }
+
+  /**
+   * Run the component module's loader(), if it has one, and merge its
+   * result into props. Loaders that take longer than loaderTimeout are
+   * aborted through `signal` and fail the render.
+   */
+  async _runLoader(componentName, props, options = {}) {
+    const { module: mod } = this._getEntry(componentName);
+    const loader = mod?.loader;
+    if (typeof loader !== "function") return props;
+
+    const { req } = options;
+    const query = this._loaderQuery(options);
+
+    const timeout = options.loaderTimeout ?? this.options.loaderTimeout;
+    const controller = new AbortController();
+    let timer;
+
+    const pending = [
+      loader({ params: options.params || {}, query, req, props, signal: controller.signal }),
+    ];
+    if (timeout > 0 && Number.isFinite(timeout)) {
+      pending.push(
+        new Promise((resolve, reject) => {
+          timer = setTimeout(() => {
+            controller.abort();
+            reject(new Error(`[DomainEx] Loader for "${componentName}" timed out after ${timeout}ms.`));
+          }, timeout);
+        })
+      );
+    }
+
+    let result;
+    try {
+      result = await Promise.race(pending);
+    } finally {
+      clearTimeout(timer);
+    }
+
+    if (!result) return props;
+
+    if (result.notFound) throw new NotFoundError(`Not Found: ${componentName}`);
+    if (result.redirect) throw new RedirectError(result.redirect, result.status ?? 302);
+
+    return { ...props, ...result };
+  }
+
+  // The query a loader sees: options.query, else the request's
+  _loaderQuery({ query, req } = {}) {
+    return (
+      query ??
+      req?.query ??
+      (req ? Object.fromEntries(new URL(req.url, "http://localhost").searchParams) : {})
+    );
+  }
+
+  _cacheTags(componentName, options = {}) {
+    return [`component:${componentName}`, ...(options.tags || [])];
+  }
+
+  /**
+   * Routes and middleware give `cacheTags` as an array or as
+   * `(props, req) => array`.
+   */
+  async _resolveCacheTags(spec, props, req) {
+    if (typeof spec === "function") return (await spec(props, req)) || [];
+    return spec || [];
+  }
+
+  /**
+   * Manifest entry of a component, with its module required (on first use,
+   * or again after it was unloaded).
+   */
+  _getEntry(componentName) {
+    const entry = this.componentMap.get(componentName);
+
+    if (!entry) {
+      // Components in folders are named by path, e.g. "admin/Dashboard"
+      const similar = [...this.componentMap.keys()].filter(
+        (name) => name.split("/").pop() === String(componentName).split("/").pop()
+      );
+      const hint = similar.length ? ` Did you mean ${similar.map((n) => `"${n}"`).join(" or ")}?` : "";
+
+      throw new Error(
+        `[DomainEx] Component "${componentName}" not found in dist folder.${hint}`
+      );
+    }
+
+    if (entry.module) {
+      // Most recently used goes last
+      this.loadedComponents.delete(componentName);
+      this.loadedComponents.set(componentName, entry);
+    } else {
+      this._requireComponent(entry);
+    }
+
+    return entry;
+  }
+
+  /**
+   * Send a rendered page. 200 responses get a strong ETag (the same hash
+   * _cacheKey uses) and a matching If-None-Match is answered with 304.
+   */
+  _sendHtml(req, res, html, policy = {}, status = 200) {
+    this._setCacheControl(res, policy);
+    res.setHeader("Content-Type", "text/html; charset=utf-8");
+    res.statusCode = status;
+
+    if (status === 200) {
+      const etag = `"${this._hash(html)}"`;
+      res.setHeader("ETag", etag);
+
+      if (etagMatches(req.headers["if-none-match"], etag)) {
+        res.statusCode = 304;
+        res.removeHeader("Content-Type");
+        res.end();
+        return;
+      }
+    }
+
+    res.end(html);
+  }
+
+  _sendRedirect(res, err) {
+    res.statusCode = err.status;
+    res.setHeader("Location", err.location);
+    res.setHeader("Content-Type", "text/plain; charset=utf-8");
+    res.end(`Redirecting to ${err.location}`);
+  }
+
+  /**
+   * Error response for anything thrown while handling a request. Renders
+   * the notFoundComponent / errorComponent when registered, falling back
+   * to the built-in page if there is none or it fails as well.
+   */
+  async _sendError(req, res, err) {
+    if (err instanceof RedirectError) {
+      this._sendRedirect(res, err);
+      return;
+    }
+
+    this.fixStacktrace(err);
+
+    const status = statusOf(err);
+    if (status >= 500) this.options.logger?.error?.(err);
+
+    // Cache headers from the route don't apply to the error page
+    res.removeHeader("Cache-Control");
+    res.removeHeader("ETag");
+    res.statusCode = status;
+    res.setHeader("Content-Type", "text/html; charset=utf-8");
+
+    const component =
+      status === 404 ? this.options.notFoundComponent : this.options.errorComponent;
+
+    if (component) {
+      try {
+        if (!this.isInitialized) await this.initialize();
+
+        if (this.componentMap.has(component)) {
+          const page = await this._renderPage(component, this._errorProps(req, err, status), {
+            fallback: false,
+          });
+          res.end(page.html);
+          return;
+        }
+      } catch (renderErr) {
+        this.options.logger?.error?.(
+          "[DomainEx] Error component failed:",
+          this.fixStacktrace(renderErr)
+        );
+      }
+    }
+
+    res.end(this._errorPage(err));
+  }
+
+  _errorProps(req, err, status) {
+    const { dev } = this.options;
+
+    return {
+      status,
+      title: `${status} ${http.STATUS_CODES[status] || "Error"}`,
+      // Server error details stay private outside dev
+      message: dev || err?.expose ? err?.message || String(err) : http.STATUS_CODES[status],
+      url: req.url,
+      ...(dev ? { stack: err?.stack, codeFrame: locateError(err)?.text ?? null } : {}),
+    };
+  }
+
+  _sendMetrics(res) {
+    const body = this.renderMetrics.prometheus([
+      { name: "inflight_renders", help: "Cache-miss renders and refreshes in progress.", value: this.inflightRenders },
+      { name: "loaded_components", help: "Component modules currently loaded.", value: this.loadedComponents.size },
+    ]);
+
+    res.statusCode = 200;
+    res.setHeader("Content-Type", "text/plain; version=0.0.4; charset=utf-8");
+    res.setHeader("Cache-Control", "no-store");
+    res.end(body);
+  }
+
+  _setCacheControl(res, policy) {
+    const value = cacheControlHeader(policy);
+    if (value) res.setHeader("Cache-Control", value);
+  }
+
+  /**
+   * Pipe a render stream into an HTTP response.
+   *
+   * If the stream fails before anything was flushed, `onEarlyError` gets a
+   * chance to send a proper error response; afterwards the only option left
+   * is to cut the connection.
+   */
+  _pipeResponse(stream, res, onEarlyError) {
+    stream.on("error", (err) => {
+      this.options.logger?.error?.(this.fixStacktrace(err));
+      if (!res.headersSent) {
+        onEarlyError(err);
+      } else {
+        res.destroy(err);
+      }
+    });
+
+    // Stop rendering if the client goes away
+    res.on("close", () => stream.destroy());
+
+    stream.pipe(res);
+  }
+
   async _loadTemplate() {
     const p = this.options.templatePath;
-    this.template = await fs.promises.readFile(p, "utf8");
+    const source = await fs.promises.readFile(p, "utf8");
+    const partials = await loadPartials(this.options.partialsPath);
+
+    // Parsed once here; see lib/template.js for the syntax
+    this.template = compileTemplate(source, { name: path.basename(p), partials });
+    this.layouts = await loadLayouts(this.options.layoutsPath, partials);
+  }
+
+  /**
+   * hotReload: rebuilt components (seen through the manifest build.js
+   * rewrites) and template edits are reloaded as they happen.
+   */
+  _watch() {
+    const { distPath, templatePath, partialsPath, layoutsPath, logger } = this.options;
+
+    const stops = [
+      watchPaths([path.join(distPath, "manifest.json")], () => this._reload("components"), { logger }),
+      watchPaths([templatePath, partialsPath, layoutsPath], () => this._reload("template"), { logger }),
+    ];
+
+    this._stopWatching = () => stops.forEach((stop) => stop());
   }
 
+  _reload(what) {
+    const logger = this.options.logger;
+
+    this._reloading = this._reloading.then(async () => {
+      try {
+        if (what === "template") {
+          await this._loadTemplate();
+          await this.cache.clear();
+          logger?.log?.("[DomainEx] Reloaded template.");
+        } else {
+          const changed = await this._loadComponents();
+          if (!changed.length) return;
+
+          for (const name of changed) {
+            await this.invalidate({ component: name });
+            this.breaker.reset(name);
+          }
+          // Workers keep their own copies of the modules
+          this.renderPool?.restart();
+          logger?.log?.(`[DomainEx] Reloaded ${changed.join(", ")}.`);
+        }
+
+        this.liveReload?.broadcast();
+      } catch (err) {
+        // Keep serving what was loaded before; the next save tries again
+        logger?.error?.("[DomainEx] Reload failed:", this.fixStacktrace(err));
+      }
+    });
+
+    return this._reloading;
+  }
+
+  /**
+   * Read the component list from the manifest (or dist). Modules are not
+   * required here but on first use, see _getEntry(). On a reload, entries
+   * whose build hash is unchanged keep their module; the others, and the
+   * loaded components that require them, are unloaded.
+   * Resolves to the names of components that changed.
+   */
   async _loadComponents() {
     const distPath = this.options.distPath;
 
@@ -172,177 +1194,317 @@ class DomainEx {
       throw new Error(`[DomainEx] distPath does not exist: ${distPath}`);
     }
 
-    const files = await fs.promises.readdir(distPath);
-    const jsFiles = files.filter((f) => f.endsWith(".js"));
+    const manifest = await this._loadManifest();
+    const entries = manifest
+      ? Object.values(manifest.components)
+      : await this._scanDist();
 
+    const previous = this.componentMap;
     const nextMap = new Map();
+    const stale = new Set(); // dist files to unload
+    const changed = [];
+
+    for (const { name, file, framework, client, hash } of entries) {
+      const filePath = path.resolve(distPath, file);
+      const old = previous.get(name);
+
+      // Without a manifest there is no hash, so everything counts as changed
+      const unchanged =
+        old &&
+        hash &&
+        old.hash === hash &&
+        old.file === filePath &&
+        old.client === (client || null);
+
+      if (unchanged) {
+        nextMap.set(name, old);
+        continue;
+      }
 
-    for (const file of jsFiles) {
-      const filePath = path.join(distPath, file);
-      const name = path.basename(file, ".js");
+      if (old) stale.add(old.file);
+      nextMap.set(name, {
+        name,
+        file: filePath,
+        module: null, // required on first use
+        // No manifest: detected from the exported shape once loaded
+        framework: framework || null,
+        client: client || null,
+        hash: hash || null,
+      });
+      changed.push(name);
+    }
 
-      // Hot reload: clear require cache
-      delete require.cache[require.resolve(filePath)];
+    // Removed components count as changed
+    for (const [name, old] of previous) {
+      if (!nextMap.has(name)) {
+        stale.add(old.file);
+        changed.push(name);
+      }
+    }
 
-      const mod = require(filePath);
+    // A component that requires a changed one (e.g. a React child) has to
+    // be loaded again too, or it keeps the old child
+    let grew = true;
+    while (grew) {
+      grew = false;
+      for (const entry of nextMap.values()) {
+        if (!entry.module || stale.has(entry.file)) continue;
+
+        const children = require.cache[entry.file]?.children || [];
+        if (children.some((child) => stale.has(child.filename))) {
+          stale.add(entry.file);
+          changed.push(entry.name);
+          grew = true;
+        }
+      }
+    }
 
-      // Detect framework using exported shape (more reliable than scanning source)
-      const framework = this._detectFramework(mod);
+    for (const file of stale) this._unloadModule(file);
 
-      nextMap.set(name, { module: mod, framework });
+    for (const [name, entry] of this.loadedComponents) {
+      if (nextMap.get(name) !== entry || stale.has(entry.file)) {
+        entry.module = null;
+        this.loadedComponents.delete(name);
+      }
     }
 
     this.componentMap = nextMap;
+    return changed;
   }
 
-  _detectFramework(mod) {
-    // React: function component OR object with $$typeof? (rare)
-    // Vue: object with render function (from SFC build)
-    // Vanilla: function that returns string
+  /**
+   * Require a component's module, making room under maxLoadedComponents by
+   * unloading the least recently used ones.
+   */
+  _requireComponent(entry) {
+    entry.module = require(entry.file);
+    if (!entry.framework) entry.framework = this._detectFramework(entry.module);
 
-    // Vue SFC compiled output is usually an object
-    if (mod && typeof mod === "object" && typeof mod.render === "function") {
-      return "vue";
-    }
+    this.loadedComponents.set(entry.name, entry);
+
+    const max = this.options.maxLoadedComponents;
+    if (!max) return;
 
-    // React components usually are functions
-    // But Vanilla also is function. So we decide:
-    // - React: function that returns React element
-    // - Vanilla: function that returns string
-    //
-    // We can't know without calling it. So we classify functions as "react"
-    // only if React is installed AND the function name starts with capital letter.
-    if (typeof mod === "function") {
-      const looksLikeReact =
-        /^[A-Z]/.test(mod.name || "") || /^[A-Z]/.test(mod.displayName || "");
+    for (const [name, loaded] of this.loadedComponents) {
+      if (this.loadedComponents.size <= max) break;
 
-      if (looksLikeReact) return "react";
-      return "vanilla";
+      this.loadedComponents.delete(name);
+      loaded.module = null;
+      this._unloadModule(loaded.file);
     }
+  }
+
+  // Drop a dist module from require.cache, and from this module's children,
+  // which would otherwise keep it in memory
+  _unloadModule(file) {
+    const cached = require.cache[file];
+    if (cached) {
+      delete require.cache[file];
 
-    // React build output might export { default: fn }
-    if (mod && typeof mod === "object" && typeof mod.default === "function") {
-      const fn = mod.default;
-      const looksLikeReact =
-        /^[A-Z]/.test(fn.name || "") || /^[A-Z]/.test(fn.displayName || "");
-      return looksLikeReact ? "react" : "vanilla";
+      const index = module.children.indexOf(cached);
+      if (index !== -1) module.children.splice(index, 1);
     }
 
-    return "vanilla";
+    // Maps are reloaded along with the modules
+    this.sourceMaps.delete(file);
   }
 
-  async _renderReact(mod, props) {
-    const React = require("react");
-    const ReactDOMServer = require("react-dom/server");
+  /**
+   * dist/manifest.json is written by build.js and records each component's
+   * framework, source file, content hash and client bundle.
+   * Returns null when there is no manifest (e.g. a hand-made dist folder).
+   */
+  async _loadManifest() {
+    const manifestPath = path.join(this.options.distPath, "manifest.json");
+
+    if (!fs.existsSync(manifestPath)) return null;
+
+    const raw = await fs.promises.readFile(manifestPath, "utf8");
+    const manifest = JSON.parse(raw);
 
-    const Component = this._unwrapDefault(mod);
+    if (!manifest || typeof manifest.components !== "object") {
+      throw new Error(`[DomainEx] Invalid manifest: ${manifestPath}`);
+    }
 
-    const element = React.createElement(Component, props);
-    return ReactDOMServer.renderToString(element);
+    return manifest;
   }
 
-  async _renderVue(mod, props) {
-    const { createSSRApp, h } = require("vue");
-    const { renderToString } = require("@vue/server-renderer");
+  /**
+   * Fallback when there is no manifest: every .js file below dist (except
+   * client bundles) is a component named after its path, e.g.
+   * dist/admin/Dashboard.js -> "admin/Dashboard". Frameworks are guessed by
+   * _detectFramework().
+   */
+  async _scanDist() {
+    if (!this._warnedNoManifest) {
+      this._warnedNoManifest = true;
+      this.options.logger?.warn?.(
+        "[DomainEx] No manifest.json in distPath, guessing component frameworks. Run build.js to generate one."
+      );
+    }
 
-    const component = this._unwrapDefault(mod);
+    const distPath = path.resolve(this.options.distPath);
+    const assetsDir = path.resolve(this.options.assetsDir);
+    const files = await fs.promises.readdir(distPath, { recursive: true });
 
-    // Correct SSR usage: createSSRApp({ render: () => h(Component, props) })
-    const app = createSSRApp({
-      render: () => h(component, props),
-    });
+    return files
+      .filter((f) => f.endsWith(".js"))
+      .filter((f) => !path.join(distPath, f).startsWith(assetsDir + path.sep))
+      .map((f) => f.split(path.sep).join("/"))
+      .map((file) => ({ name: file.slice(0, -".js".length), file }));
+  }
 
-    return await renderToString(app);
+  _sourceMapFor(file) {
+    const distPath = path.resolve(this.options.distPath);
+    if (!file.startsWith(distPath + path.sep)) return null;
+
+    if (!this.sourceMaps.has(file)) {
+      try {
+        this.sourceMaps.set(file, loadSourceMap(file));
+      } catch (err) {
+        this.options.logger?.warn?.(`[DomainEx] Unreadable source map for ${file}:`, err.message);
+        this.sourceMaps.set(file, null);
+      }
+    }
+
+    return this.sourceMaps.get(file);
   }
 
-  async _renderVanilla(mod, props) {
-    const fn = this._unwrapDefault(mod);
+  /**
+   * Ask each adapter's detect(), most recently registered first.
+   * Only used when there is no build manifest.
+   */
+  _detectFramework(mod) {
+    const names = [...this.adapters.keys()].reverse();
 
-    if (typeof fn !== "function") {
-      throw new Error("[DomainEx] Vanilla component must export a function.");
+    for (const name of names) {
+      const { detect } = this.adapters.get(name);
+      if (detect && detect(mod)) return name;
     }
 
-    const html = await fn(props);
+    return "vanilla";
+  }
+
+  /**
+   * Per-render context handed to adapters. `head` collects the <head> tags
+   * components ask for (see lib/head/index.js).
+   */
+  _adapterContext() {
+    return {
+      dx: this,
+      logger: this.options.logger,
+      head: new HeadCollector({ logger: this.options.logger }),
+    };
+  }
 
-    if (typeof html !== "string") {
-      throw new Error(
-        "[DomainEx] Vanilla component must return a string of HTML."
-      );
+  /**
+   * Adapters render to an HTML string, or to { html, head } when the
+   * framework also produces markup for <head> (e.g. Svelte).
+   */
+  _normalizeRenderResult(result) {
+    if (typeof result === "string") return { html: result, head: "" };
+
+    if (result && typeof result.html === "string") {
+      return { html: result.html, head: result.head || "" };
     }
 
-    return html;
+    throw new Error("[DomainEx] Adapter render() must return a string or { html, head }.");
   }
 
-  _unwrapDefault(mod) {
-    if (mod && typeof mod === "object" && mod.default) return mod.default;
-    return mod;
+  _applyTemplate(content, props, entry, page) {
+    const [head, tail] = this._templateParts(props, entry, page);
+    return head + content + tail;
   }
 
-  _applyTemplate(content, props) {
-    let html = this.template;
+  /**
+   * Fill in the template (and layouts, if any) and split it around
+   * {{content}}, so streaming renders can flush everything before the
+   * component markup up front.
+   *
+   * page:
+   *  - head:      HeadCollector from the render; its title and description
+   *               win over props, its other tags go before </head>
+   *  - extraHead: raw markup from the adapter (e.g. Svelte's <svelte:head>)
+   *  - layout:    named layout to wrap the page in
+   *  - shell:     true for a client-rendered shell: the client bundle
+   *               mounts the component instead of hydrating it
+   */
+  _templateParts(props, entry, { head, extraHead = "", layout, shell = false } = {}) {
+    const data = {
+      ...props,
+      title: head?.title || props.title || "DomainEx SSR",
+      description: head?.description || props.description || "Server-side rendered with DomainEx",
+      content: CONTENT_MARKER,
+    };
 
-    html = html.replace("{{content}}", content);
+    const chain = layout ? layoutChain(this.layouts, layout, this.template) : [this.template];
 
-    // Title/description
-    html = html.replace(/{{title}}/g, this._escapeHtml(props.title || "DomainEx SSR"));
-    html = html.replace(
-      /{{description}}/g,
-      this._escapeHtml(props.description || "Server-side rendered with DomainEx")
-    );
+    // Each outer layer's {{content}} receives the one inside it
+    let html = CONTENT_MARKER;
+    for (const renderLayer of chain) {
+      const inner = html;
+      html = renderLayer(data).replace(CONTENT_MARKER, () => inner);
+    }
 
     // Inject props for client usage
     const safeProps = JSON.stringify(props).replace(/</g, "\\u003c");
-    const propsScript = `<script>window.__DOMAINEX_PROPS__=${safeProps};</script>`;
+    const safeRootId = JSON.stringify(this.options.rootId).replace(/</g, "\\u003c");
+    const shellFlag = shell ? "window.__DOMAINEX_SHELL__=true;" : "";
+    const propsScript = `<script>window.__DOMAINEX_PROPS__=${safeProps};window.__DOMAINEX_ROOT__=${safeRootId};${shellFlag}</script>`;
+
+    // Collected tags, then adapter markup, then the props script
+    const headTags = `${head ? head.render() : ""}${extraHead}`;
+    html = html.replace("</head>", () => `${headTags}${propsScript}\n</head>`);
+
+    // Client bundle that hydrates the server markup
+    if (this.options.hydrate && entry?.client) {
+      const src = `${this.options.assetsUrl.replace(/\/$/, "")}/${entry.client}`;
+      const hydrateScript = `<script src="${this._escapeHtml(src)}" defer></script>`;
+      html = html.replace("</body>", () => `${hydrateScript}\n</body>`);
+    }
 
-    html = html.replace("</head>", `${propsScript}\n</head>`);
+    if (this.liveReload) {
+      html = html.replace("</body>", () => `${this.liveReload.script()}\n</body>`);
+    }
 
-    return html;
+    const [before, ...rest] = html.split(CONTENT_MARKER);
+    if (rest.length === 0) return [html, ""];
+
+    // Only the first {{content}} is the slot
+    return [before, rest.join("")];
   }
 
-  _cacheKey(componentName, props) {
+  _cacheKey(componentName, props, layout = "") {
     // Stable cache key (hash)
-    const raw = `${componentName}|${this._stableStringify(props)}`;
-    return crypto.createHash("sha1").update(raw).digest("hex");
+    return this._hash(`${componentName}|${layout}|${this._stableStringify(props)}`);
+  }
+
+  _hash(str) {
+    return crypto.createHash("sha1").update(str).digest("hex");
   }
 
+  // JSON with object keys sorted at every level
   _stableStringify(obj) {
-    if (!obj || typeof obj !== "object") return JSON.stringify(obj);
+    return JSON.stringify(obj, (key, value) => {
+      if (!value || typeof value !== "object" || Array.isArray(value)) return value;
 
-    const keys = Object.keys(obj).sort();
-    const out = {};
-    for (const k of keys) out[k] = obj[k];
-    return JSON.stringify(out);
+      const out = {};
+      for (const k of Object.keys(value).sort()) out[k] = value[k];
+      return out;
+    });
   }
 
   _escapeHtml(str) {
-    return String(str)
-      .replaceAll("&", "&amp;")
-      .replaceAll("<", "&lt;")
-      .replaceAll(">", "&gt;")
-      .replaceAll('"', "&quot;")
-      .replaceAll("'", "&#039;");
+    return escapeHtml(str);
   }
 
   _errorPage(err) {
-    const msg = this._escapeHtml(err?.stack || err?.message || String(err));
-    return `
-      <!doctype html>
-      <html>
-        <head>
-          <meta charset="utf-8" />
-          <title>DomainEx Error</title>
-          <style>
-            body { background:#0b0f17; color:#e7eefc; font-family: system-ui; padding: 18px; }
-            pre { background: rgba(255,255,255,0.06); padding: 14px; border-radius: 12px; overflow:auto; }
-          </style>
-        </head>
-        <body>
-          <h1>SSR Error</h1>
-          <pre>${msg}</pre>
-        </body>
-      </html>
-    `;
+    return renderErrorPage(err, { dev: this.options.dev });
   }
 }
 
+DomainEx.HttpError = HttpError;
+DomainEx.NotFoundError = NotFoundError;
+DomainEx.RedirectError = RedirectError;
+
 module.exports = DomainEx;
@@ -0,0 +1,58 @@
+"use strict";
+
+/**
+ * Framework adapters.
+ *
+ * An adapter is a plain object:
+ *
+ *   {
+ *     extensions:   [".jsx"],                         // source files it builds
+ *     detect(mod),                                    // -> boolean, used without a manifest
+ *     render(mod, props, ctx),                        // -> Promise<string | { html, head }> (required)
+ *     renderStream(mod, props, ctx),                  // -> (Promise of) an (async) iterable of chunks
+ *     buildServer(filePath, { name, fileName }),      // -> CommonJS code for dist/, or { code, map }
+ *     buildClient(filePath, { name, fileName, bundle }) // -> Promise<browser code>
+ *   }
+ *
+ * `head` is extra markup injected before </head>. `map` is a source map
+ * (object or JSON string) whose sources are absolute paths; see
+ * lib/sourcemap.js.
+ * `ctx` is `{ dx, logger, head }`, where `head` is the render's
+ * HeadCollector (lib/head/index.js) for component-defined <head> tags. `bundle(opts)` is build.js's esbuild wrapper
+ * (`{ contents, sourcefile, plugins, define }`).
+ * Only `render` is required; the rest are used when present.
+ */
+
+const react = require("./react");
+const vue = require("./vue");
+const vanilla = require("./vanilla");
+const svelte = require("./svelte");
+
+// Registration order matters for detect(): later adapters are asked first,
+// so vanilla (which accepts any function) is the last resort.
+const BUILTIN_ADAPTERS = { vanilla, react, vue, svelte };
+
+function validateAdapter(name, adapter) {
+  if (!name || typeof name !== "string") {
+    throw new TypeError("[DomainEx] Adapter name must be a non-empty string.");
+  }
+
+  if (!adapter || typeof adapter.render !== "function") {
+    throw new TypeError(`[DomainEx] Adapter "${name}" must implement render().`);
+  }
+
+  for (const hook of ["detect", "renderStream", "buildServer", "buildClient"]) {
+    if (adapter[hook] !== undefined && typeof adapter[hook] !== "function") {
+      throw new TypeError(`[DomainEx] Adapter "${name}": ${hook} must be a function.`);
+    }
+  }
+
+  if (adapter.extensions !== undefined && !Array.isArray(adapter.extensions)) {
+    throw new TypeError(`[DomainEx] Adapter "${name}": extensions must be an array.`);
+  }
+}
+
+module.exports = {
+  BUILTIN_ADAPTERS,
+  validateAdapter,
+};
@@ -0,0 +1,126 @@
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const { PassThrough } = require("stream");
+
+const { unwrapDefault, looksLikeComponentName, HYDRATION_PRELUDE } = require("./util");
+const { compileCssModule, babelCssModules, esbuildCssModules, withStyles } = require("../css");
+
+const BABEL_PRESETS = [
+  ["@babel/preset-env", { targets: { node: "current" } }],
+  ["@babel/preset-react", { runtime: "automatic" }],
+  // Only applies to .ts / .tsx files
+  "@babel/preset-typescript",
+];
+
+// require() path of lib/css.js from a component, for compiled CSS module imports
+function cssRuntimePath(filePath) {
+  const relative = path.relative(path.dirname(filePath), path.join(__dirname, "..", "css"));
+  const posix = relative.split(path.sep).join("/");
+  return posix.startsWith(".") ? posix : `./${posix}`;
+}
+
+// Wrap the page so useHead() / <Head> can reach this render's collector
+function createElement(mod, props, head) {
+  const React = require("react");
+  const { HeadContext } = require("../head/react");
+
+  const Component = unwrapDefault(mod);
+  const element = React.createElement(Component, props);
+
+  return head ? React.createElement(HeadContext.Provider, { value: head }, element) : element;
+}
+
+/**
+ * React adapter: .jsx and .tsx components, rendered with react-dom/server.
+ */
+module.exports = {
+  extensions: [".jsx", ".tsx"],
+
+  // React and vanilla components are both plain functions, and we can't
+  // tell them apart without calling them, so go by the capitalized-name
+  // convention. Only used when there is no build manifest.
+  detect(mod) {
+    const fn = unwrapDefault(mod);
+    return typeof fn === "function" && looksLikeComponentName(fn);
+  },
+
+  async render(mod, props, { head } = {}) {
+    const ReactDOMServer = require("react-dom/server");
+    return withStyles(head, () => ReactDOMServer.renderToString(createElement(mod, props, head)));
+  },
+
+  renderStream(mod, props, { dx, logger, head } = {}) {
+    const { renderToPipeableStream } = require("react-dom/server");
+
+    const element = createElement(mod, props, head);
+
+    // renderToPipeableStream wants a destination to pipe into; a PassThrough
+    // gives us something we can iterate over.
+    return new Promise((resolve, reject) => {
+      const body = new PassThrough();
+
+      // React keeps rendering in callbacks started here, so CSS modules
+      // read later still find this render's collector
+      const { pipe } = withStyles(head, () => renderToPipeableStream(element, {
+        onShellReady() {
+          pipe(body);
+          resolve(body);
+        },
+        onShellError: reject,
+        onError(err) {
+          // Errors inside <Suspense> boundaries fall back to client rendering
+          logger?.error?.(dx ? dx.fixStacktrace(err) : err);
+        },
+      }));
+    });
+  },
+
+  async buildServer(filePath) {
+    const babel = require("@babel/core");
+
+    const options = {
+      filename: filePath,
+      presets: BABEL_PRESETS,
+      babelrc: false,
+      configFile: false,
+    };
+
+    const source = fs.readFileSync(filePath, "utf8");
+    const ast = babel.parseSync(source, options);
+
+    // Compile the CSS modules this file imports, keyed by import source
+    const compiled = new Map();
+    for (const node of ast.program.body) {
+      const from = node.type === "ImportDeclaration" && node.source.value;
+      if (from && from.endsWith(".module.css") && !compiled.has(from)) {
+        compiled.set(from, await compileCssModule(path.resolve(path.dirname(filePath), from)));
+      }
+    }
+
+    const result = babel.transformFromAstSync(ast, source, {
+      ...options,
+      plugins: [[babelCssModules, { compiled, runtime: cssRuntimePath(filePath) }]],
+      sourceMaps: true,
+      sourceFileName: filePath,
+    });
+
+    return { code: result.code, map: result.map };
+  },
+
+  buildClient(filePath, { name, bundle }) {
+    return bundle({
+      sourcefile: `${name}.hydrate.js`,
+      contents: `
+import { createElement } from "react";
+import { createRoot, hydrateRoot } from "react-dom/client";
+import Component from ${JSON.stringify(filePath)};
+${HYDRATION_PRELUDE}
+if (shell) createRoot(root).render(createElement(Component, props));
+else hydrateRoot(root, createElement(Component, props));
+`,
+      plugins: [esbuildCssModules],
+    });
+  },
+};
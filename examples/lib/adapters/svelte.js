@@ -0,0 +1,108 @@
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+
+const { HYDRATION_PRELUDE } = require("./util");
+
+/**
+ * Svelte adapter: .svelte components (Svelte 5).
+ *
+ * The server build bundles the component together with svelte/server into
+ * one CommonJS module exporting `render(props)`, so dist needs no ESM
+ * imports and component and renderer share the same Svelte runtime.
+ * Styles are compiled in "injected" mode: only components that actually
+ * render contribute CSS, and it arrives in the `head` that render() returns.
+ */
+
+function compilePlugin(generate) {
+  return {
+    name: `domainex-svelte-${generate}`,
+    setup(build) {
+      build.onLoad({ filter: /\.svelte$/ }, (args) => {
+        const { compile } = require("svelte/compiler");
+
+        const source = fs.readFileSync(args.path, "utf8");
+        const { js, warnings } = compile(source, {
+          filename: args.path,
+          generate,
+          css: "injected",
+        });
+
+        return {
+          contents: js.code,
+          loader: "js",
+          resolveDir: path.dirname(args.path),
+          warnings: warnings.map((w) => ({ text: w.message })),
+        };
+      });
+    },
+  };
+}
+
+module.exports = {
+  extensions: [".svelte"],
+
+  detect(mod) {
+    return !!mod && typeof mod === "object" && mod.__svelte === true;
+  },
+
+  async render(mod, props) {
+    const { head, body } = mod.render(props);
+    return { html: body, head };
+  },
+
+  async buildServer(filePath, { fileName }) {
+    const esbuild = require("esbuild");
+
+    const result = await esbuild.build({
+      stdin: {
+        contents: `
+import Component from ${JSON.stringify(filePath)};
+import { render as renderSvelte } from "svelte/server";
+
+// Named exports from <script module>, e.g. loader
+export * from ${JSON.stringify(filePath)};
+
+export const __svelte = true;
+export default Component;
+export function render(props) {
+  return renderSvelte(Component, { props });
+}
+`,
+        resolveDir: path.dirname(filePath),
+        sourcefile: `${fileName}.server.js`,
+        loader: "js",
+      },
+      bundle: true,
+      write: false,
+      format: "cjs",
+      platform: "node",
+      conditions: ["svelte"],
+      plugins: [compilePlugin("server")],
+      logLevel: "silent",
+    });
+
+    return `"use strict";
+
+/**
+ * Auto-generated by DomainEx build.js
+ * Source: ${fileName}
+ */
+
+${result.outputFiles[0].text}`;
+  },
+
+  buildClient(filePath, { name, bundle }) {
+    return bundle({
+      sourcefile: `${name}.hydrate.js`,
+      contents: `
+import { hydrate, mount } from "svelte";
+import Component from ${JSON.stringify(filePath)};
+${HYDRATION_PRELUDE}
+(shell ? mount : hydrate)(Component, { target: root, props });
+`,
+      plugins: [compilePlugin("client")],
+    });
+  },
+};
@@ -0,0 +1,29 @@
+"use strict";
+
+/**
+ * Helpers shared by the built-in adapters.
+ */
+
+function unwrapDefault(mod) {
+  if (mod && typeof mod === "object" && mod.default) return mod.default;
+  return mod;
+}
+
+function looksLikeComponentName(fn) {
+  return /^[A-Z]/.test(fn.name || "") || /^[A-Z]/.test(fn.displayName || "");
+}
+
+// Start of every generated hydration entry. DomainEx#_templateParts
+// serializes these globals into the page. `shell` is set when the server
+// sent an empty root (renderFallback): mount instead of hydrating.
+const HYDRATION_PRELUDE = `
+const props = window.__DOMAINEX_PROPS__ || {};
+const root = document.getElementById(window.__DOMAINEX_ROOT__ || "root");
+const shell = window.__DOMAINEX_SHELL__ === true;
+`;
+
+module.exports = {
+  unwrapDefault,
+  looksLikeComponentName,
+  HYDRATION_PRELUDE,
+};
@@ -0,0 +1,97 @@
+"use strict";
+
+const fs = require("fs");
+
+const { unwrapDefault } = require("./util");
+const { identityMap } = require("../sourcemap");
+
+/**
+ * Vanilla adapter: a function returning HTML, in .js or .ts.
+ *
+ * Components may return a string, a Promise of a string, or an (async)
+ * iterable of string chunks, e.g. an async generator function. They have no
+ * client bundle and stay static HTML.
+ *
+ * To set <head> tags, return `{ html, head }` instead, where `html` is any
+ * of the above and `head` is described in lib/head/index.js.
+ */
+const vanilla = {
+  extensions: [".js", ".ts"],
+
+  detect(mod) {
+    return typeof unwrapDefault(mod) === "function";
+  },
+
+  async render(mod, props, ctx) {
+    const body = await vanilla.renderStream(mod, props, ctx);
+
+    let html = "";
+    for await (const chunk of body) html += chunk;
+    return html;
+  },
+
+  async renderStream(mod, props, { head } = {}) {
+    const fn = unwrapDefault(mod);
+
+    if (typeof fn !== "function") {
+      throw new Error("[DomainEx] Vanilla component must export a function.");
+    }
+
+    let result = await fn(props);
+
+    if (result && typeof result === "object" && "html" in result) {
+      head?.add(result.head);
+      result = await result.html;
+    }
+
+    if (typeof result === "string") {
+      return [result];
+    }
+
+    if (
+      result &&
+      (typeof result[Symbol.asyncIterator] === "function" ||
+        typeof result[Symbol.iterator] === "function")
+    ) {
+      return (async function* () {
+        for await (const chunk of result) {
+          if (typeof chunk !== "string") {
+            throw new Error(
+              "[DomainEx] Vanilla component iterators must yield strings of HTML."
+            );
+          }
+          yield chunk;
+        }
+      })();
+    }
+
+    throw new Error(
+      "[DomainEx] Vanilla component must return a string of HTML."
+    );
+  },
+
+  buildServer(filePath) {
+    if (filePath.endsWith(".ts")) {
+      const babel = require("@babel/core");
+
+      const result = babel.transformFileSync(filePath, {
+        presets: [
+          ["@babel/preset-env", { targets: { node: "current" } }],
+          "@babel/preset-typescript",
+        ],
+        sourceMaps: true,
+        sourceFileName: filePath,
+        babelrc: false,
+        configFile: false,
+      });
+
+      return { code: result.code, map: result.map };
+    }
+
+    // Plain .js is already CommonJS and runs as written
+    const code = fs.readFileSync(filePath, "utf8");
+    return { code, map: identityMap(code, filePath) };
+  },
+};
+
+module.exports = vanilla;
@@ -0,0 +1,294 @@
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+
+const { unwrapDefault, HYDRATION_PRELUDE } = require("./util");
+const { concatMaps } = require("../sourcemap");
+const { compileVueStyles, vueScopeId, styleHead } = require("../css");
+
+/**
+ * Vue adapter: single-file components, rendered with @vue/server-renderer.
+ */
+
+function parseSFC(filePath, fileName) {
+  const { parse } = require("@vue/compiler-sfc");
+
+  const source = fs.readFileSync(filePath, "utf8");
+  const { descriptor, errors } = parse(source, { filename: fileName });
+
+  if (errors && errors.length) {
+    throw new Error(
+      `Vue parse errors:\n${errors.map((e) => String(e)).join("\n")}`
+    );
+  }
+
+  if (!descriptor.template) {
+    throw new Error(`Vue file "${fileName}" has no <template> block.`);
+  }
+
+  return descriptor;
+}
+
+// <script lang="ts"> or <script setup lang="ts">
+function isTypeScript(descriptor) {
+  return [descriptor.script, descriptor.scriptSetup].some((block) => block?.lang === "ts");
+}
+
+// Lets template expressions use TypeScript syntax in lang="ts" components
+function templateCompilerOptions(descriptor) {
+  return isTypeScript(descriptor) ? { expressionPlugins: ["typescript"] } : {};
+}
+
+// Component options for <style scoped> and <style module>, as statements on __default__
+function styleOptionsCode(descriptor, scopeId, modules) {
+  let code = "";
+  if (descriptor.styles.some((style) => style.scoped)) {
+    code += `__default__.__scopeId = ${JSON.stringify(scopeId)};\n`;
+  }
+  if (Object.keys(modules).length) {
+    code += `__default__.__cssModules = ${JSON.stringify(modules)};\n`;
+  }
+  return code;
+}
+
+/**
+ * Compile a Vue SFC to an ES module for the browser bundle.
+ * Unlike the server build, imports from "vue" are left for esbuild to resolve.
+ * Returns { code, loader }; lang="ts" components still contain types, which
+ * esbuild's "ts" loader strips.
+ */
+async function compileClientModule(filePath) {
+  const { compileScript, compileTemplate } = require("@vue/compiler-sfc");
+
+  const fileName = path.basename(filePath);
+  const descriptor = parseSFC(filePath, fileName);
+  const id = vueScopeId(descriptor.source);
+
+  const loader = isTypeScript(descriptor) ? "ts" : "js";
+
+  // The CSS is already in the server-rendered page; the browser only needs
+  // the scope id and CSS module class maps to match the markup
+  const { modules } = await compileVueStyles(descriptor, { filePath, scopeId: id });
+  const styleOptions = styleOptionsCode(descriptor, id, modules);
+
+  // <script setup> can carry the template inline
+  if (descriptor.scriptSetup) {
+    const { content } = compileScript(descriptor, {
+      id,
+      inlineTemplate: true,
+      genDefaultAs: "__default__",
+    });
+    return { code: `${content}\n${styleOptions}\nexport default __default__;\n`, loader };
+  }
+
+  const scriptCode = descriptor.script
+    ? compileScript(descriptor, { id, genDefaultAs: "__default__" }).content
+    : "const __default__ = {};";
+
+  const templateResult = compileTemplate({
+    source: descriptor.template.content,
+    filename: fileName,
+    id,
+    scoped: descriptor.styles.some((style) => style.scoped),
+    compilerOptions: templateCompilerOptions(descriptor),
+  });
+
+  const code = `
+${scriptCode}
+${templateResult.code}
+__default__.render = render;
+${styleOptions}
+export default __default__;
+`;
+
+  return { code, loader };
+}
+
+const esbuildPlugin = {
+  name: "domainex-vue",
+  setup(build) {
+    build.onLoad({ filter: /\.vue$/ }, async (args) => {
+      const { code, loader } = await compileClientModule(args.path);
+      return { contents: code, loader, resolveDir: path.dirname(args.path) };
+    });
+  },
+};
+
+function createApp(mod, props, head) {
+  const { createSSRApp, h } = require("vue");
+  const { HEAD_KEY } = require("../head/vue");
+
+  const component = unwrapDefault(mod);
+
+  // Correct SSR usage: createSSRApp({ render: () => h(Component, props) })
+  const app = createSSRApp({
+    render: () => h(component, props),
+  });
+
+  if (head) {
+    // For useHead() in ../head/vue.js
+    app.provide(HEAD_KEY, head);
+
+    // Styles of every component that actually renders, set by buildServer
+    app.mixin({
+      beforeCreate() {
+        const style = this.$.type.__domainexStyle;
+        if (style) head.add(styleHead(style.id, style.css));
+      },
+    });
+  }
+
+  return app;
+}
+
+module.exports = {
+  extensions: [".vue"],
+
+  // Vue SFC compiled output is an object with a render function
+  detect(mod) {
+    const component = unwrapDefault(mod);
+    return !!component && typeof component === "object" && typeof component.render === "function";
+  },
+
+  async render(mod, props, { head } = {}) {
+    const { renderToString } = require("@vue/server-renderer");
+    return await renderToString(createApp(mod, props, head));
+  },
+
+  renderStream(mod, props, { head } = {}) {
+    const { renderToNodeStream } = require("@vue/server-renderer");
+    return renderToNodeStream(createApp(mod, props, head));
+  },
+
+  async buildServer(filePath, { fileName }) {
+    const { compileScript, compileTemplate } = require("@vue/compiler-sfc");
+    const babel = require("@babel/core");
+
+    // Absolute filename so the source maps point at the .vue file
+    const descriptor = parseSFC(filePath, filePath);
+    const id = vueScopeId(descriptor.source);
+
+    // Compile <style> blocks (scoped selectors, CSS modules). The CSS is
+    // kept on the component and added to <head> when it renders
+    const styles = await compileVueStyles(descriptor, { filePath, scopeId: id });
+
+    let styleCode = styleOptionsCode(descriptor, id, styles.modules);
+    if (styles.css) {
+      styleCode += `__default__.__domainexStyle = ${JSON.stringify({ id, css: styles.css })};\n`;
+    }
+
+    // Compile <script> / <script setup>
+    const compiledScript = compileScript(descriptor, {
+      id,
+      sourceMap: true,
+    });
+
+    // Compile template to render() WITHOUT ESM imports
+    const templateResult = compileTemplate({
+      source: descriptor.template.content,
+      filename: filePath,
+      id,
+      // No `scoped` here: function mode doesn't take it. The renderer adds
+      // the scope attribute from __scopeId anyway
+      // Template maps are relative to the <template> block until combined
+      // with the block's own map
+      inMap: descriptor.template.map,
+
+      // IMPORTANT: prevent ESM imports like: import { ... } from "vue"
+      compilerOptions: {
+        mode: "function",
+        sourceMap: true,
+        // <script setup> bindings live on $setup, not _ctx
+        bindingMetadata: compiledScript.bindings,
+        ...templateCompilerOptions(descriptor),
+      }
+    });
+
+    if (templateResult.errors && templateResult.errors.length) {
+      throw new Error(
+        `Vue template compile errors:\n${templateResult.errors
+          .map((e) => String(e))
+          .join("\n")}`
+      );
+    }
+
+    let scriptCode = compiledScript.content;
+
+    // convert export default -> const __default__ =
+    scriptCode = scriptCode.replace(/export default /, "const __default__ = ");
+
+    // remove other exports (keeping line breaks, so the map still lines up)
+    scriptCode = scriptCode.replace(/export \{[^}]+\};?/g, (m) => m.replace(/[^\n]/g, ""));
+
+    const assembled = concatMaps([
+      {
+        code: `"use strict";
+
+/**
+ * Auto-generated by DomainEx build.js
+ * Source: ${fileName}
+ */
+
+const Vue = require("vue");
+`,
+      },
+      { code: scriptCode, map: compiledScript.map },
+      {
+        code: `
+// Template render function
+// (function-mode output ends in a top-level \`return\`, so scope it)
+const render = (() => {`,
+      },
+      { code: templateResult.code, map: templateResult.map },
+      {
+        code: `})();
+
+// Attach render
+__default__.render = render;
+
+// Styles
+${styleCode}
+// Export as CommonJS, keeping named exports from <script> (e.g. loader)
+module.exports = Object.assign(__default__, module.exports);
+`,
+      },
+    ]);
+
+    // import statements (e.g. useHead from lib/head/vue.js) -> require(),
+    // and types stripped from lang="ts". Babel carries the combined map through
+    const presets = [["@babel/preset-env", { targets: { node: "current" } }]];
+    if (isTypeScript(descriptor)) {
+      presets.push(["@babel/preset-typescript", { allExtensions: true }]);
+    }
+
+    const result = babel.transformSync(assembled.code, {
+      filename: filePath,
+      presets,
+      inputSourceMap: assembled.map,
+      sourceMaps: true,
+      babelrc: false,
+      configFile: false,
+    });
+
+    return { code: result.code, map: result.map };
+  },
+
+  buildClient(filePath, { name, bundle }) {
+    return bundle({
+      sourcefile: `${name}.hydrate.js`,
+      contents: `
+import { createApp, createSSRApp, h } from "vue";
+import Component from ${JSON.stringify(filePath)};
+${HYDRATION_PRELUDE}
+(shell ? createApp : createSSRApp)({ render: () => h(Component, props) }).mount(root);
+`,
+      plugins: [esbuildPlugin],
+      define: {
+        __VUE_OPTIONS_API__: "true",
+        __VUE_PROD_DEVTOOLS__: "false",
+        __VUE_PROD_HYDRATION_MISMATCH_DETAILS__: "false",
+      },
+    });
+  },
+};
@@ -0,0 +1,251 @@
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Render cache for DomainEx.
+ *
+ * Entries live in a pluggable store. A store is any object with these
+ * methods (sync or async):
+ *
+ *   get(key)          -> entry | undefined
+ *   set(key, entry)
+ *   delete(key)
+ *   clear()
+ *   keys()            -> iterable of keys (used by tag invalidation)
+ *   peek(key)         -> optional get() that does not count as a use
+ *
+ * An entry is `{ html, ts, tags }`. MemoryStore (the default, bounded LRU)
+ * and FileStore are provided; anything Redis-like can be wrapped the same way.
+ */
+
+/**
+ * In-process LRU bounded by entry count and total HTML size.
+ */
+class MemoryStore {
+  constructor({ maxEntries = 500, maxBytes = 50 * 1024 * 1024 } = {}) {
+    this.maxEntries = maxEntries;
+    this.maxBytes = maxBytes;
+
+    this.map = new Map(); // key -> { entry, size }, oldest first
+    this.bytes = 0;
+  }
+
+  get(key) {
+    const item = this.map.get(key);
+    if (!item) return undefined;
+
+    // Mark as most recently used
+    this.map.delete(key);
+    this.map.set(key, item);
+    return item.entry;
+  }
+
+  // Read without touching recency (used when scanning for tags)
+  peek(key) {
+    return this.map.get(key)?.entry;
+  }
+
+  set(key, entry) {
+    this.delete(key);
+
+    const size = Buffer.byteLength(entry.html);
+    if (size > this.maxBytes) return; // would evict everything else
+
+    this.map.set(key, { entry, size });
+    this.bytes += size;
+
+    for (const oldest of this.map.keys()) {
+      if (this.map.size <= this.maxEntries && this.bytes <= this.maxBytes) break;
+      this.delete(oldest);
+    }
+  }
+
+  delete(key) {
+    const item = this.map.get(key);
+    if (!item) return;
+
+    this.map.delete(key);
+    this.bytes -= item.size;
+  }
+
+  clear() {
+    this.map.clear();
+    this.bytes = 0;
+  }
+
+  keys() {
+    return [...this.map.keys()];
+  }
+
+  get size() {
+    return this.map.size;
+  }
+}
+
+/**
+ * One JSON file per entry. Survives restarts and can be shared by
+ * processes on the same machine. Keys are the hex hashes from
+ * DomainEx#_cacheKey, so they are safe file names.
+ */
+class FileStore {
+  constructor({ dir } = {}) {
+    if (!dir) throw new Error("[DomainEx] FileStore needs a directory.");
+    this.dir = dir;
+  }
+
+  _file(key) {
+    if (!/^[\w-]+$/.test(key)) {
+      throw new Error(`[DomainEx] FileStore: invalid key "${key}".`);
+    }
+    return path.join(this.dir, `${key}.json`);
+  }
+
+  async get(key) {
+    try {
+      return JSON.parse(await fs.promises.readFile(this._file(key), "utf8"));
+    } catch (err) {
+      if (err.code === "ENOENT") return undefined;
+      throw err;
+    }
+  }
+
+  async set(key, entry) {
+    await fs.promises.mkdir(this.dir, { recursive: true });
+
+    // Write then rename so readers never see a half-written file
+    const file = this._file(key);
+    const tmp = `${file}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tmp, JSON.stringify(entry), "utf8");
+    await fs.promises.rename(tmp, file);
+  }
+
+  async delete(key) {
+    await fs.promises.rm(this._file(key), { force: true });
+  }
+
+  async clear() {
+    await fs.promises.rm(this.dir, { recursive: true, force: true });
+  }
+
+  async keys() {
+    let files;
+    try {
+      files = await fs.promises.readdir(this.dir);
+    } catch (err) {
+      if (err.code === "ENOENT") return [];
+      throw err;
+    }
+    return files.filter((f) => f.endsWith(".json")).map((f) => f.slice(0, -".json".length));
+  }
+}
+
+/**
+ * Freshness, stale-while-revalidate and tags on top of a store.
+ *
+ * An entry is fresh for `maxAge` ms, then servable-but-stale for another
+ * `staleWhileRevalidate` ms while a background render refreshes it.
+ */
+class RenderCache {
+  constructor({ store, maxAge, staleWhileRevalidate = 0, logger } = {}) {
+    this.store = store || new MemoryStore();
+    this.maxAge = maxAge;
+    this.staleWhileRevalidate = staleWhileRevalidate;
+    this.logger = logger;
+
+    this.inflight = new Map(); // key -> promise of the render running for it
+  }
+
+  /**
+   * Resolves to { html, stale } or null on a miss.
+   */
+  async lookup(key) {
+    const entry = await this.store.get(key);
+    if (!entry) return null;
+
+    const age = Date.now() - entry.ts;
+
+    if (age < this.maxAge) return { html: entry.html, stale: false };
+
+    if (age < this.maxAge + this.staleWhileRevalidate) {
+      return { html: entry.html, stale: true };
+    }
+
+    await this.store.delete(key);
+    return null;
+  }
+
+  async set(key, html, tags = []) {
+    await this.store.set(key, { html, ts: Date.now(), tags });
+  }
+
+  /**
+   * Run `renderFn` for `key`, or, if a render for the key is already
+   * running, share its promise, so concurrent misses render once. Only
+   * the promise is kept, and only while it runs: a failure rejects every
+   * waiter and the next call renders again.
+   */
+  singleFlight(key, renderFn) {
+    const running = this.inflight.get(key);
+    if (running) return running;
+
+    const promise = Promise.resolve()
+      .then(renderFn)
+      .finally(() => {
+        this.inflight.delete(key);
+      });
+
+    this.inflight.set(key, promise);
+    return promise;
+  }
+
+  /**
+   * Number of renders running through singleFlight() / revalidate().
+   */
+  get inflightCount() {
+    return this.inflight.size;
+  }
+
+  /**
+   * Re-render a stale entry in the background. Shares singleFlight(), so
+   * only one render per key runs at a time; failures are logged and the
+   * stale entry is kept.
+   */
+  revalidate(key, renderFn) {
+    if (this.inflight.has(key)) return;
+
+    this.singleFlight(key, renderFn).catch((err) => {
+      this.logger?.error?.("[DomainEx] Background revalidation failed:", err);
+    });
+  }
+
+  /**
+   * Drop every entry carrying any of the given tags.
+   * Resolves to the number of entries removed.
+   */
+  async invalidateTags(tags) {
+    const wanted = new Set(tags);
+    let removed = 0;
+
+    for (const key of await this.store.keys()) {
+      const entry = await (this.store.peek ? this.store.peek(key) : this.store.get(key));
+      if (entry && (entry.tags || []).some((tag) => wanted.has(tag))) {
+        await this.store.delete(key);
+        removed++;
+      }
+    }
+
+    return removed;
+  }
+
+  async clear() {
+    await this.store.clear();
+  }
+}
+
+module.exports = {
+  MemoryStore,
+  FileStore,
+  RenderCache,
+};
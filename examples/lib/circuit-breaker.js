@@ -0,0 +1,107 @@
+"use strict";
+
+/**
+ * Per-key circuit breaker, used by DomainEx to stop server-rendering a
+ * component that keeps failing (see the renderFallback option).
+ *
+ *   closed     calls go through; failures are counted over the last
+ *              `window` ms, and successes in between don't reset them
+ *   open       `threshold` failures within `window` ms: calls are skipped
+ *              for `retryAfter` ms
+ *   half-open  after that, one trial call goes through. Success closes the
+ *              circuit, failure opens it for another `retryAfter` ms
+ *
+ * A threshold of 0 never opens a circuit.
+ */
+
+class CircuitBreaker {
+  constructor({ threshold = 5, window = 60000, retryAfter = 30000, now = Date.now } = {}) {
+    this.threshold = threshold;
+    this.window = window;
+    this.retryAfter = retryAfter;
+    this.now = now;
+
+    this.circuits = new Map(); // key -> { failures, openedAt, trialAt }
+  }
+
+  /**
+   * True while calls for `key` should be skipped. Once `retryAfter` has
+   * passed, lets one trial call through (and another if that one hasn't
+   * reported back after `retryAfter` more).
+   */
+  isOpen(key) {
+    const circuit = this.circuits.get(key);
+    if (!circuit?.openedAt) return false;
+
+    const now = this.now();
+    if (now - circuit.openedAt < this.retryAfter) return true;
+    if (circuit.trialAt && now - circuit.trialAt < this.retryAfter) return true;
+
+    circuit.trialAt = now;
+    return false;
+  }
+
+  /**
+   * Record a successful call. Returns true if that closed an open circuit.
+   */
+  success(key) {
+    const circuit = this.circuits.get(key);
+    if (!circuit) return false;
+
+    // Only the trial call closes an open circuit; calls that started
+    // before it opened don't
+    if (circuit.openedAt) {
+      if (!circuit.trialAt) return false;
+      this.circuits.delete(key);
+      return true;
+    }
+
+    // Closed: failures still in the window keep counting, so a component
+    // that fails every other call still opens the circuit
+    const now = this.now();
+    circuit.failures = circuit.failures.filter((ts) => now - ts < this.window);
+    if (circuit.failures.length === 0) this.circuits.delete(key);
+    return false;
+  }
+
+  /**
+   * Record a failed call. Returns true if that opened the circuit.
+   */
+  failure(key) {
+    if (!this.threshold) return false;
+
+    const now = this.now();
+    let circuit = this.circuits.get(key);
+    if (!circuit) {
+      circuit = { failures: [], openedAt: 0, trialAt: 0 };
+      this.circuits.set(key, circuit);
+    }
+
+    // A failed trial: stay open
+    if (circuit.openedAt) {
+      circuit.openedAt = now;
+      circuit.trialAt = 0;
+      return false;
+    }
+
+    circuit.failures = circuit.failures.filter((ts) => now - ts < this.window);
+    circuit.failures.push(now);
+
+    if (circuit.failures.length < this.threshold) return false;
+
+    circuit.failures = [];
+    circuit.openedAt = now;
+    return true;
+  }
+
+  /**
+   * Forget the failures of `key`, e.g. after the component was rebuilt.
+   */
+  reset(key) {
+    this.circuits.delete(key);
+  }
+}
+
+module.exports = {
+  CircuitBreaker,
+};
@@ -0,0 +1,214 @@
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { AsyncLocalStorage } = require("async_hooks");
+
+/**
+ * Component CSS.
+ *
+ * Build side: Vue <style> blocks and `*.module.css` files are compiled with
+ * @vue/compiler-sfc (scoped attribute rewriting, CSS modules class maps).
+ * The CSS is compiled into the server module, not shipped to the browser.
+ *
+ * Runtime side: a component's CSS goes into the page <head> as an inline
+ * <style> only when the component takes part in the render:
+ *
+ *   Vue    when a component instance is created (lib/adapters/vue.js)
+ *   React  when a class name is read from an imported CSS module
+ *
+ * Each stylesheet is written once per page, however often it is used.
+ */
+
+// HeadCollector of the render in progress, for CSS modules
+const styleScope = new AsyncLocalStorage();
+
+function hash(str, length = 8) {
+  return crypto.createHash("sha1").update(str).digest("hex").slice(0, length);
+}
+
+/**
+ * Head input for one stylesheet. The key keeps it from being added twice.
+ */
+function styleHead(id, css) {
+  return { style: [{ key: `css:${id}`, "data-domainex-css": id, children: css }] };
+}
+
+// ---------------------------
+// Build
+// ---------------------------
+
+function compileErrors(errors, fileName) {
+  if (!errors || !errors.length) return;
+  throw new Error(`[DomainEx] CSS errors in ${fileName}:\n${errors.map((e) => String(e)).join("\n")}`);
+}
+
+/**
+ * Compile a `*.module.css` file.
+ * Returns { id, css, classes } where `classes` maps local names to the
+ * generated ones, e.g. { title: "Card_title_3f2a1" }.
+ */
+async function compileCssModule(filePath) {
+  const { compileStyleAsync } = require("@vue/compiler-sfc");
+
+  const source = await fs.promises.readFile(filePath, "utf8");
+  const base = path.basename(filePath).replace(/\.module\.css$/, "");
+  const id = `${base}-${hash(source)}`;
+
+  const result = await compileStyleAsync({
+    source,
+    filename: filePath,
+    id,
+    modules: true,
+    modulesOptions: {
+      // Same file -> same names, so server and client builds agree
+      generateScopedName: (local) => `${base}_${local}_${hash(`${local}\0${source}`, 5)}`,
+    },
+  });
+  compileErrors(result.errors, path.basename(filePath));
+
+  return { id, css: result.code, classes: result.modules };
+}
+
+/**
+ * Data attribute Vue uses for a component's scoped styles. Derived from the
+ * source so the server and client builds agree.
+ */
+function vueScopeId(source) {
+  return `data-v-${hash(source)}`;
+}
+
+/**
+ * Compile the <style> blocks of a parsed SFC.
+ * Returns { css, modules } where `modules` is { $style: classes, ... } for
+ * <style module> blocks.
+ */
+async function compileVueStyles(descriptor, { filePath, scopeId }) {
+  const { compileStyleAsync } = require("@vue/compiler-sfc");
+
+  const css = [];
+  const modules = {};
+
+  for (const style of descriptor.styles) {
+    const source = style.src
+      ? await fs.promises.readFile(path.resolve(path.dirname(filePath), style.src), "utf8")
+      : style.content;
+
+    const result = await compileStyleAsync({
+      source,
+      filename: filePath,
+      id: scopeId,
+      scoped: !!style.scoped,
+      modules: !!style.module,
+      preprocessLang: style.lang,
+    });
+    compileErrors(result.errors, path.basename(filePath));
+
+    css.push(result.code.trim());
+
+    if (style.module) {
+      const name = style.module === true ? "$style" : style.module;
+      modules[name] = result.modules;
+    }
+  }
+
+  return { css: css.join("\n"), modules };
+}
+
+/**
+ * Babel plugin that turns
+ *
+ *   import styles from "./Card.module.css";
+ *
+ * into a class map from cssModule() below. `compiled` maps each import
+ * source to its compileCssModule() result; `runtime` is the require path
+ * of this file as seen from the component.
+ */
+function babelCssModules({ types: t }, { compiled, runtime }) {
+  return {
+    name: "domainex-css-modules",
+    visitor: {
+      ImportDeclaration(nodePath) {
+        const source = nodePath.node.source.value;
+        if (!compiled.has(source)) return;
+
+        const { id, css, classes } = compiled.get(source);
+        const local = nodePath.node.specifiers.find(
+          (spec) => t.isImportDefaultSpecifier(spec) || t.isImportNamespaceSpecifier(spec)
+        );
+
+        if (!local || nodePath.node.specifiers.length > 1) {
+          throw nodePath.buildCodeFrameError(
+            `[DomainEx] Import CSS modules as a whole: import styles from "${source}".`
+          );
+        }
+
+        // const styles = require("../lib/css").cssModule(id, css, classes);
+        const call = t.callExpression(
+          t.memberExpression(
+            t.callExpression(t.identifier("require"), [t.stringLiteral(runtime)]),
+            t.identifier("cssModule")
+          ),
+          [t.stringLiteral(id), t.stringLiteral(css), t.valueToNode(classes)]
+        );
+
+        nodePath.replaceWith(
+          t.variableDeclaration("const", [t.variableDeclarator(t.identifier(local.local.name), call)])
+        );
+      },
+    },
+  };
+}
+
+/**
+ * esbuild plugin for client bundles: `*.module.css` imports become the
+ * same class maps as on the server. The CSS itself is already in the page.
+ */
+const esbuildCssModules = {
+  name: "domainex-css-modules",
+  setup(build) {
+    build.onLoad({ filter: /\.module\.css$/ }, async (args) => {
+      const { classes } = await compileCssModule(args.path);
+      return { contents: `export default ${JSON.stringify(classes)};`, loader: "js" };
+    });
+  },
+};
+
+// ---------------------------
+// Runtime
+// ---------------------------
+
+/**
+ * Class map for a compiled CSS module. Reading a class name during a
+ * render adds the stylesheet to that render's <head>.
+ */
+function cssModule(id, css, classes) {
+  return new Proxy(Object.freeze({ ...classes }), {
+    get(target, key) {
+      if (typeof key === "string" && Object.hasOwn(target, key)) {
+        styleScope.getStore()?.add(styleHead(id, css));
+      }
+      return target[key];
+    },
+  });
+}
+
+/**
+ * Run `fn` with `head` as the collector for CSS modules read inside it,
+ * including in async work it starts (streaming renders).
+ */
+function withStyles(head, fn) {
+  return head ? styleScope.run(head, fn) : fn();
+}
+
+module.exports = {
+  styleHead,
+  compileCssModule,
+  compileVueStyles,
+  vueScopeId,
+  babelCssModules,
+  esbuildCssModules,
+  cssModule,
+  withStyles,
+};
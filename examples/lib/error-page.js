@@ -0,0 +1,148 @@
+"use strict";
+
+const fs = require("fs");
+const http = require("http");
+const path = require("path");
+const { fileURLToPath } = require("url");
+
+const { escapeHtml } = require("./template");
+const { statusOf } = require("./errors");
+
+/**
+ * Built-in error page, used when no Error / NotFound component is
+ * registered or when rendering that component fails too.
+ *
+ * In production it shows the status and, for client errors, the message.
+ * In dev it also shows the stack and a code frame around the first stack
+ * frame that belongs to the app rather than DomainEx or node_modules.
+ */
+
+// DomainEx's own files, skipped when looking for the failing line
+const LIBRARY_FILES = [path.join(__dirname, path.sep), path.join(__dirname, "..", "domainex.js")];
+
+const FRAME = /^\s*at (?:.*? \()?(.+?):(\d+):(\d+)\)?$/;
+
+/**
+ * Stack trace -> [{ file, line, column }], skipping lines that are not frames.
+ */
+function parseStack(stack = "") {
+  const frames = [];
+
+  for (const text of String(stack).split("\n")) {
+    const match = FRAME.exec(text);
+    if (!match) continue;
+
+    let file = match[1];
+    if (file.startsWith("file://")) file = fileURLToPath(file);
+
+    frames.push({ file, line: Number(match[2]), column: Number(match[3]) });
+  }
+
+  return frames;
+}
+
+function isAppFrame({ file }) {
+  return (
+    path.isAbsolute(file) &&
+    !file.includes(`${path.sep}node_modules${path.sep}`) &&
+    !LIBRARY_FILES.some((lib) => file === lib || file.startsWith(lib))
+  );
+}
+
+/**
+ * A few lines of source around `frame`, with the failing line marked:
+ *
+ *     12 |   const user = props.user;
+ *   > 13 |   return user.name.toUpperCase();
+ *        |               ^
+ *
+ * Returns null when the file can't be read.
+ */
+function codeFrame({ file, line, column }, { context = 2 } = {}) {
+  let source;
+  try {
+    source = fs.readFileSync(file, "utf8");
+  } catch {
+    return null;
+  }
+
+  const lines = source.split(/\r?\n/);
+  if (line < 1 || line > lines.length) return null;
+
+  const start = Math.max(line - context, 1);
+  const end = Math.min(line + context, lines.length);
+  const width = String(end).length;
+
+  const out = [];
+  for (let n = start; n <= end; n++) {
+    const text = lines[n - 1];
+    out.push(`${n === line ? ">" : " "} ${String(n).padStart(width)} | ${text}`);
+
+    if (n === line && column > 0) {
+      // Keep tabs so the caret lines up with the code above it
+      const pad = text.slice(0, column - 1).replace(/[^\t]/g, " ");
+      out.push(`  ${" ".repeat(width)} | ${pad}^`);
+    }
+  }
+
+  return out.join("\n");
+}
+
+/**
+ * First app frame of `err` with its code frame, or null.
+ */
+function locateError(err) {
+  for (const frame of parseStack(err?.stack)) {
+    if (!isAppFrame(frame)) continue;
+
+    const text = codeFrame(frame);
+    if (text) return { ...frame, text };
+  }
+
+  return null;
+}
+
+function renderErrorPage(err, { dev = false } = {}) {
+  const status = statusOf(err);
+  const title = `${status} ${http.STATUS_CODES[status] || "Error"}`;
+
+  let details = "";
+
+  if (dev) {
+    const location = locateError(err);
+    if (location) {
+      details += `<p class="file">${escapeHtml(`${location.file}:${location.line}:${location.column}`)}</p>`;
+      details += `<pre class="frame">${escapeHtml(location.text)}</pre>`;
+    }
+    details += `<pre>${escapeHtml(err?.stack || err?.message || String(err))}</pre>`;
+  } else if (err?.expose && err.message) {
+    details = `<p>${escapeHtml(err.message)}</p>`;
+  }
+
+  return `
+      <!doctype html>
+      <html>
+        <head>
+          <meta charset="utf-8" />
+          <title>${escapeHtml(title)}</title>
+          <style>
+            body { background:#0b0f17; color:#e7eefc; font-family: system-ui; padding: 18px; }
+            pre { background: rgba(255,255,255,0.06); padding: 14px; border-radius: 12px; overflow:auto; }
+            pre.frame { border-left: 3px solid #ff6b6b; }
+            .file { color: #7aa7ff; font-family: monospace; }
+          </style>
+        </head>
+        <body>
+          <h1>${escapeHtml(title)}</h1>
+          ${details}
+        </body>
+      </html>
+    `;
+}
+
+module.exports = {
+  renderErrorPage,
+  parseStack,
+  codeFrame,
+  locateError,
+};
@@ -0,0 +1,99 @@
+"use strict";
+
+const http = require("http");
+
+/**
+ * Errors that stand for an HTTP outcome rather than a failure.
+ *
+ * Components, props functions and loaders can throw them; createServer()
+ * and createErrorHandler() send the matching response. DomainEx#render()
+ * also throws them when a loader reports that the page does not exist or
+ * has moved.
+ *
+ *   throw new HttpError(403);
+ *   throw new NotFoundError();
+ *   throw new RedirectError("/login", 303);
+ */
+
+const REDIRECT_STATUSES = new Set([301, 302, 303, 307, 308]);
+
+class HttpError extends Error {
+  constructor(status = 500, message = http.STATUS_CODES[status] || "Error") {
+    if (!Number.isInteger(status) || status < 300 || status > 599) {
+      throw new RangeError(`[DomainEx] Invalid HTTP error status: ${status}`);
+    }
+
+    super(message);
+    this.name = "HttpError";
+    this.status = status;
+    // Client errors are safe to show; server errors keep their details private
+    this.expose = status < 500;
+  }
+}
+
+class NotFoundError extends HttpError {
+  constructor(message = "Not Found") {
+    super(404, message);
+    this.name = "NotFoundError";
+  }
+}
+
+class RedirectError extends HttpError {
+  constructor(location, status = 302) {
+    if (!location || typeof location !== "string") {
+      throw new TypeError("[DomainEx] Redirect needs a location.");
+    }
+    if (!REDIRECT_STATUSES.has(status)) {
+      throw new RangeError(`[DomainEx] Invalid redirect status: ${status}`);
+    }
+
+    super(status, `Redirect to ${location}`);
+    this.name = "RedirectError";
+    this.location = location;
+  }
+}
+
+/**
+ * Status code for any thrown value: its own for HttpErrors, 500 otherwise.
+ */
+function statusOf(err) {
+  return err instanceof HttpError ? err.status : 500;
+}
+
+/**
+ * Copy of a thrown value that survives postMessage() (render workers), and
+ * back. HttpErrors come back as the same class, so they keep their status.
+ */
+function serializeError(err) {
+  if (!(err instanceof Error)) return { message: String(err) };
+
+  const { name, message, stack, status, location } = err;
+  return { name, message, stack, status, location, http: err instanceof HttpError };
+}
+
+function deserializeError(data) {
+  let err;
+
+  if (!data.http) {
+    err = new Error(data.message);
+    if (data.name) err.name = data.name;
+  } else if (data.location) {
+    err = new RedirectError(data.location, data.status);
+  } else if (data.status === 404) {
+    err = new NotFoundError(data.message);
+  } else {
+    err = new HttpError(data.status, data.message);
+  }
+
+  if (data.stack) err.stack = data.stack;
+  return err;
+}
+
+module.exports = {
+  HttpError,
+  NotFoundError,
+  RedirectError,
+  statusOf,
+  serializeError,
+  deserializeError,
+};
@@ -0,0 +1,35 @@
+// Type definitions for lib/head/index.js
+
+/** Attributes of a tag. `children` is the text of <style> / <script>. */
+export interface HeadTag {
+  key?: string | number;
+  children?: string;
+  [attr: string]: string | number | boolean | null | undefined;
+}
+
+export interface HeadInput {
+  title?: string | number | null;
+  base?: HeadTag;
+  meta?: HeadTag | HeadTag[];
+  link?: HeadTag | HeadTag[];
+  style?: HeadTag | HeadTag[];
+  script?: HeadTag | HeadTag[];
+  jsonLd?: Record<string, unknown> | Record<string, unknown>[];
+}
+
+export class HeadCollector {
+  constructor(options?: { logger?: { warn?(...args: unknown[]): void } | null });
+
+  title: string | undefined;
+  readonly description: string | undefined;
+  readonly flushed: boolean;
+
+  add(input: HeadInput | null | undefined | false): void;
+  render(): string;
+
+  toJSON(): { title: string | undefined; tags: [string, { type: string; tag: HeadTag }][] };
+  static fromJSON(
+    json: ReturnType<HeadCollector["toJSON"]>,
+    options?: ConstructorParameters<typeof HeadCollector>[0]
+  ): HeadCollector;
+}
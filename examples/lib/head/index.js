@@ -0,0 +1,189 @@
+"use strict";
+
+/**
+ * Per-render <head> collector.
+ *
+ * Components describe what they need in <head> with plain objects:
+ *
+ *   {
+ *     title: "About us",
+ *     base: { href: "/" },
+ *     meta: [{ name: "description", content: "..." }, { property: "og:title", content: "..." }],
+ *     link: [{ rel: "canonical", href: "https://example.com/about" }],
+ *     style: [{ children: "h1 { color: red }" }],
+ *     script: [{ src: "/analytics.js", async: true }],
+ *     jsonLd: { "@context": "https://schema.org", "@type": "Organization", ... },
+ *   }
+ *
+ * Every tag has a key; a later tag with the same key replaces the earlier
+ * one but keeps its position, so a page can override its layout's tags.
+ * Keys come from an explicit `key` field, or else:
+ *
+ *   meta    name / property / http-equiv / itemprop / charset
+ *   link    "canonical" for rel=canonical, otherwise rel + hreflang + href
+ *   jsonLd  its "@id", otherwise its content
+ *   others  their attributes and content
+ *
+ * Tags are written in this order: base, meta, link, style, script, JSON-LD.
+ * The title and the description meta are not written here: they fill in
+ * the template's {{title}} and {{description}} instead, so they are never
+ * duplicated.
+ *
+ * The bindings components import are ./react.js (useHead, <Head>) and
+ * ./vue.js (useHead). Vanilla components return `{ html, head }`.
+ */
+
+const ORDER = ["base", "meta", "link", "style", "script", "jsonLd"];
+
+const VOID_TAGS = new Set(["base", "meta", "link"]);
+
+const META_KEYS = ["name", "property", "http-equiv", "itemprop", "charset"];
+
+function escapeAttr(value) {
+  return String(value)
+    .replaceAll("&", "&amp;")
+    .replaceAll('"', "&quot;")
+    .replaceAll("<", "&lt;")
+    .replaceAll(">", "&gt;");
+}
+
+// Keep inline <script>/<style> contents from closing their own tag
+function escapeRawText(tag, text) {
+  return String(text).replace(new RegExp(`</(${tag})`, "gi"), "<\\/$1");
+}
+
+function toArray(value) {
+  if (value === undefined || value === null || value === false) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+function tagKey(type, tag) {
+  if (tag.key !== undefined) return `${type}:${tag.key}`;
+
+  if (type === "base") return "base";
+
+  if (type === "meta") {
+    const attr = META_KEYS.find((name) => tag[name] !== undefined);
+    if (attr) return `meta:${attr}:${attr === "charset" ? "" : tag[attr]}`;
+  }
+
+  if (type === "link" && tag.rel) {
+    if (tag.rel === "canonical") return "link:canonical";
+    return `link:${tag.rel}:${tag.hreflang || ""}:${tag.href || ""}`;
+  }
+
+  if (type === "jsonLd") {
+    return `jsonLd:${tag["@id"] !== undefined ? tag["@id"] : JSON.stringify(tag)}`;
+  }
+
+  return `${type}:${JSON.stringify(tag)}`;
+}
+
+function renderAttrs(tag) {
+  let out = "";
+
+  for (const [name, value] of Object.entries(tag)) {
+    if (name === "key" || name === "children") continue;
+    if (value === undefined || value === null || value === false) continue;
+
+    out += value === true ? ` ${name}` : ` ${name}="${escapeAttr(value)}"`;
+  }
+
+  return out;
+}
+
+function renderTag(type, tag) {
+  if (type === "jsonLd") {
+    const json = JSON.stringify(tag).replace(/</g, "\\u003c");
+    return `<script type="application/ld+json">${json}</script>`;
+  }
+
+  if (VOID_TAGS.has(type)) return `<${type}${renderAttrs(tag)}>`;
+
+  const children = tag.children === undefined ? "" : escapeRawText(type, tag.children);
+  return `<${type}${renderAttrs(tag)}>${children}</${type}>`;
+}
+
+class HeadCollector {
+  constructor({ logger } = {}) {
+    this.logger = logger;
+
+    this.title = undefined;
+    this.tags = new Map(); // key -> { type, tag }, in first-seen order
+    this.flushed = false;
+  }
+
+  /**
+   * Record head tags (see the shape above). Falsy input is ignored so
+   * components can write `head.add(cond && {...})`.
+   */
+  add(input) {
+    if (!input) return;
+
+    if (this.flushed) {
+      if (!this._warnedLate) {
+        this._warnedLate = true;
+        this.logger?.warn?.(
+          "[DomainEx] Head tags added after the page head was sent are ignored (streaming render)."
+        );
+      }
+      return;
+    }
+
+    if (input.title !== undefined && input.title !== null) {
+      this.title = String(input.title);
+    }
+
+    for (const type of ORDER) {
+      for (const tag of toArray(input[type])) {
+        if (!tag || typeof tag !== "object") {
+          throw new TypeError(`[DomainEx] head.${type} entries must be objects.`);
+        }
+
+        const key = tagKey(type, tag);
+        const existing = this.tags.get(key);
+        if (existing) {
+          existing.tag = tag;
+        } else {
+          this.tags.set(key, { type, tag });
+        }
+      }
+    }
+  }
+
+  get description() {
+    return this.tags.get("meta:name:description")?.tag.content;
+  }
+
+  /**
+   * Markup for everything except the title and description.
+   * Marks the collector as flushed: later add() calls are ignored.
+   */
+  render() {
+    this.flushed = true;
+
+    const items = [...this.tags.entries()].filter(([key]) => key !== "meta:name:description");
+    items.sort(([, a], [, b]) => ORDER.indexOf(a.type) - ORDER.indexOf(b.type));
+
+    return items.map(([, { type, tag }]) => `${renderTag(type, tag)}\n`).join("");
+  }
+
+  /**
+   * Plain copy of the collected title and tags, e.g. to send a render
+   * worker's head back to the main thread.
+   */
+  toJSON() {
+    return { title: this.title, tags: [...this.tags] };
+  }
+
+  static fromJSON(json, options) {
+    const head = new HeadCollector(options);
+    head.title = json?.title;
+    head.tags = new Map(json?.tags || []);
+    return head;
+  }
+}
+
+module.exports = {
+  HeadCollector,
+};
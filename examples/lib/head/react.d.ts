@@ -0,0 +1,13 @@
+// Type definitions for lib/head/react.js
+
+import type { Context } from "react";
+
+import type { HeadCollector, HeadInput } from "./index";
+
+export type { HeadInput, HeadTag } from "./index";
+
+export const HeadContext: Context<HeadCollector | null>;
+
+export function useHead(input: HeadInput | null | undefined | false): void;
+
+export function Head(props: HeadInput): null;
@@ -0,0 +1,38 @@
+"use strict";
+
+const React = require("react");
+
+/**
+ * React bindings for head management (see ./index.js for the tag shape).
+ *
+ *   import { useHead, Head } from "../lib/head/react";
+ *
+ *   useHead({ title: "About", meta: [{ property: "og:title", content: "About" }] });
+ *   <Head title="About" link={[{ rel: "canonical", href: url }]} />
+ *
+ * On the server the tags go to the render's collector (provided by the
+ * React adapter). In the browser only the title is kept in sync.
+ */
+
+const HeadContext = React.createContext(null);
+
+function useHead(input) {
+  const head = React.useContext(HeadContext);
+  if (head) head.add(input);
+
+  const title = input ? input.title : undefined;
+  React.useEffect(() => {
+    if (title !== undefined && title !== null) document.title = String(title);
+  }, [title]);
+}
+
+function Head(props) {
+  useHead(props);
+  return null;
+}
+
+module.exports = {
+  HeadContext,
+  useHead,
+  Head,
+};
@@ -0,0 +1,11 @@
+// Type definitions for lib/head/vue.js
+
+import type { InjectionKey } from "vue";
+
+import type { HeadCollector, HeadInput } from "./index";
+
+export type { HeadInput, HeadTag } from "./index";
+
+export const HEAD_KEY: InjectionKey<HeadCollector>;
+
+export function useHead(input: HeadInput | (() => HeadInput | null | undefined | false)): void;
@@ -0,0 +1,37 @@
+"use strict";
+
+const { inject, watchEffect } = require("vue");
+
+/**
+ * Vue composable for head management (see ./index.js for the tag shape).
+ *
+ *   import { useHead } from "../lib/head/vue";
+ *
+ *   useHead({ title: props.title, link: [{ rel: "canonical", href: url }] });
+ *
+ * Call it from setup(). On the server the tags go to the render's
+ * collector (provided by the Vue adapter). In the browser only the title
+ * is kept in sync; pass a function to track reactive values.
+ */
+
+const HEAD_KEY = Symbol.for("domainex.head");
+
+function useHead(input) {
+  const head = inject(HEAD_KEY, null);
+  const resolve = () => (typeof input === "function" ? input() : input);
+
+  if (head) {
+    head.add(resolve());
+    return;
+  }
+
+  watchEffect(() => {
+    const title = resolve()?.title;
+    if (title !== undefined && title !== null) document.title = String(title);
+  });
+}
+
+module.exports = {
+  HEAD_KEY,
+  useHead,
+};
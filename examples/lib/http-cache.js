@@ -0,0 +1,53 @@
+"use strict";
+
+/**
+ * HTTP caching helpers shared by createServer(), createMiddleware() and the
+ * static file handler.
+ */
+
+/**
+ * Weak comparison, as If-None-Match requires (RFC 9110 13.1.2).
+ */
+function etagMatches(ifNoneMatch, etag) {
+  if (!ifNoneMatch || !etag) return false;
+
+  const bare = etag.replace(/^W\//, "");
+
+  return ifNoneMatch
+    .split(",")
+    .map((tag) => tag.trim())
+    .some((tag) => tag === "*" || tag.replace(/^W\//, "") === bare);
+}
+
+/**
+ * Build a Cache-Control value from a route policy:
+ *
+ *   { cacheControl: "no-store" }            -> used verbatim
+ *   { maxAge: 60, sMaxAge: 600 }            -> "public, max-age=60, s-maxage=600"
+ *   { private: true, maxAge: 30 }           -> "private, max-age=30"
+ *
+ * Ages are in seconds. Returns null when the route declares no policy.
+ */
+function cacheControlHeader(policy = {}) {
+  if (policy.cacheControl) return policy.cacheControl;
+
+  const hasPolicy =
+    policy.private !== undefined || policy.maxAge !== undefined || policy.sMaxAge !== undefined;
+  if (!hasPolicy) return null;
+
+  const parts = [policy.private ? "private" : "public"];
+
+  if (policy.maxAge !== undefined) parts.push(`max-age=${Math.floor(policy.maxAge)}`);
+
+  // Shared caches must not store private responses at all
+  if (policy.sMaxAge !== undefined && !policy.private) {
+    parts.push(`s-maxage=${Math.floor(policy.sMaxAge)}`);
+  }
+
+  return parts.join(", ");
+}
+
+module.exports = {
+  etagMatches,
+  cacheControlHeader,
+};
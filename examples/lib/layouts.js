@@ -0,0 +1,97 @@
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+
+const { compile } = require("./template");
+
+/**
+ * Named layouts for DomainEx.
+ *
+ * Every *.html file in the layouts directory is a layout named after the
+ * file (layouts/admin.html -> "admin"). Layouts use the template syntax
+ * (lib/template.js) and place the page with {{content}}.
+ *
+ * A layout is wrapped in the main template unless its first line says
+ * otherwise:
+ *
+ *   {{! layout: admin }}   nested inside layouts/admin.html
+ *   {{! layout: none }}    a complete page on its own (e.g. embeddable widgets)
+ */
+
+const PARENT_DIRECTIVE = /^\s*\{\{!\s*layout:\s*([\w-]+)\s*\}\}[ \t]*\r?\n?/;
+
+/**
+ * Read and compile every layout in `dir`. A missing directory means no
+ * layouts. Unknown parents and cycles are reported here rather than on
+ * the first request.
+ */
+async function loadLayouts(dir, partials) {
+  const layouts = new Map();
+  if (!dir || !fs.existsSync(dir)) return layouts;
+
+  for (const file of await fs.promises.readdir(dir)) {
+    if (!file.endsWith(".html")) continue;
+
+    const name = path.basename(file, ".html");
+    if (name === "none") {
+      throw new Error(`[DomainEx] "none" is reserved and cannot be a layout name (${file}).`);
+    }
+
+    let source = await fs.promises.readFile(path.join(dir, file), "utf8");
+
+    // undefined -> main template, null -> no parent
+    let parent;
+    const directive = PARENT_DIRECTIVE.exec(source);
+    if (directive) {
+      parent = directive[1] === "none" ? null : directive[1];
+      source = source.slice(directive[0].length);
+    }
+
+    layouts.set(name, {
+      name,
+      parent,
+      render: compile(source, { name: `layouts/${file}`, partials }),
+    });
+  }
+
+  for (const name of layouts.keys()) layoutChain(layouts, name, null);
+
+  return layouts;
+}
+
+/**
+ * Render functions for a layout and everything around it, innermost first.
+ * `root` is the main template, used where a chain does not opt out of it.
+ */
+function layoutChain(layouts, name, root) {
+  const chain = [];
+  const seen = [];
+  let current = name;
+
+  while (current !== undefined) {
+    if (seen.includes(current)) {
+      throw new Error(`[DomainEx] Layout cycle: ${[...seen, current].join(" -> ")}.`);
+    }
+
+    const layout = layouts.get(current);
+    if (!layout) {
+      const usedBy = seen.length ? ` (parent of "${seen[seen.length - 1]}")` : "";
+      throw new Error(`[DomainEx] Layout "${current}" not found${usedBy}.`);
+    }
+
+    seen.push(current);
+    chain.push(layout.render);
+
+    if (layout.parent === null) return chain;
+    current = layout.parent;
+  }
+
+  chain.push(root);
+  return chain;
+}
+
+module.exports = {
+  loadLayouts,
+  layoutChain,
+};
@@ -0,0 +1,125 @@
+"use strict";
+
+const fs = require("fs");
+const crypto = require("crypto");
+
+/**
+ * Dev mode helpers for DomainEx: file watching and browser live reload.
+ *
+ * LiveReload keeps a Server-Sent Events connection open to every page
+ * rendered in dev mode (DomainEx injects script() into the template) and
+ * tells them to reload after a rebuild. Each server process has its own
+ * id, so pages also reload when they reconnect to a restarted server.
+ */
+
+const DEBOUNCE_MS = 100;
+
+// fs.watchFile() polls; the default interval (5s) is too slow for dev
+const POLL_INTERVAL_MS = 200;
+
+class LiveReload {
+  constructor({ path = "/__domainex/live-reload", logger } = {}) {
+    this.path = path;
+    this.logger = logger;
+
+    this.id = crypto.randomBytes(6).toString("hex");
+    this.clients = new Set();
+  }
+
+  /**
+   * Serve the event stream. Returns false for any other URL so the caller
+   * can go on routing the request.
+   */
+  handle(req, res) {
+    const pathname = new URL(req.url, "http://localhost").pathname;
+    if (pathname !== this.path) return false;
+
+    res.writeHead(200, {
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+    });
+    res.write(`retry: 1000\nevent: hello\ndata: ${this.id}\n\n`);
+
+    this.clients.add(res);
+    req.on("close", () => this.clients.delete(res));
+
+    return true;
+  }
+
+  /**
+   * Tell every open page to reload.
+   */
+  broadcast() {
+    for (const res of this.clients) {
+      res.write(`event: reload\ndata: ${Date.now()}\n\n`);
+    }
+  }
+
+  /**
+   * <script> for the page: reloads on "reload", or when the server it
+   * reconnects to is a different process than the one that sent the page.
+   */
+  script() {
+    const url = JSON.stringify(this.path).replace(/</g, "\\u003c");
+
+    return `<script>(function(){var id,es=new EventSource(${url});es.addEventListener("hello",function(e){if(id&&id!==e.data)location.reload();id=e.data;});es.addEventListener("reload",function(){location.reload();});})();</script>`;
+  }
+
+  close() {
+    for (const res of this.clients) res.end();
+    this.clients.clear();
+  }
+}
+
+/**
+ * Call `onChange()` (debounced) when any of `paths` changes. Directories
+ * are watched with fs.watch(); files are polled, so they may be replaced
+ * or not exist yet. Paths that are missing directories are skipped.
+ * The watchers don't keep the process alive. Returns a function that
+ * stops watching.
+ */
+function watchPaths(paths, onChange, { logger } = {}) {
+  let timer = null;
+  const trigger = () => {
+    clearTimeout(timer);
+    timer = setTimeout(onChange, DEBOUNCE_MS);
+    timer.unref();
+  };
+
+  const stops = [];
+
+  for (const target of paths) {
+    if (!target) continue;
+
+    let isDir = false;
+    try {
+      isDir = fs.statSync(target).isDirectory();
+    } catch {
+      // Not there yet: poll it as a file
+    }
+
+    if (isDir) {
+      const watcher = fs.watch(target, trigger);
+      watcher.on("error", (err) => logger?.warn?.(`[DomainEx] Stopped watching ${target}:`, err.message));
+      watcher.unref();
+      stops.push(() => watcher.close());
+    } else {
+      const listener = (curr, prev) => {
+        if (curr.mtimeMs !== prev.mtimeMs) trigger();
+      };
+      fs.watchFile(target, { interval: POLL_INTERVAL_MS, persistent: false }, listener);
+      stops.push(() => fs.unwatchFile(target, listener));
+    }
+  }
+
+  return () => {
+    clearTimeout(timer);
+    for (const stop of stops) stop();
+  };
+}
+
+module.exports = {
+  LiveReload,
+  watchPaths,
+};
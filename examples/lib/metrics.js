@@ -0,0 +1,255 @@
+"use strict";
+
+const { performance } = require("perf_hooks");
+
+const { statusOf } = require("./errors");
+
+/**
+ * Render metrics for DomainEx.
+ *
+ * Renders are timed in phases:
+ *
+ *   props     route props() / middleware propsExtractor (servers only)
+ *   loader    the component's loader()
+ *   render    the adapter; for streams, until the first markup
+ *   template  template, layouts and <head>
+ *   total     the whole render() / renderStream() call
+ *
+ * Metrics keeps a histogram per component and phase, and counts renders
+ * by result ("ok", "fallback", "error") and cache lookups by outcome
+ * ("hit", "stale", "miss", "shared"). snapshot() backs dx.metrics(),
+ * prometheus() the /metrics route. ServerTiming writes one request's
+ * phases into its Server-Timing header.
+ */
+
+// Seconds, as in the Prometheus client libraries
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const RENDER_RESULTS = ["ok", "fallback", "error"];
+const CACHE_RESULTS = ["hit", "stale", "miss", "shared"];
+
+class Histogram {
+  constructor(buckets) {
+    this.buckets = buckets;
+    this.counts = new Array(buckets.length).fill(0); // per bucket, not cumulative
+    this.count = 0;
+    this.sum = 0;
+    this.max = 0;
+  }
+
+  observe(value) {
+    this.count++;
+    this.sum += value;
+    this.max = Math.max(this.max, value);
+
+    const i = this.buckets.findIndex((le) => value <= le);
+    if (i !== -1) this.counts[i]++;
+  }
+}
+
+class Metrics {
+  constructor({ buckets = DEFAULT_BUCKETS } = {}) {
+    this.buckets = buckets;
+    this.components = new Map(); // name -> { phases, renders, cache }
+  }
+
+  _component(name) {
+    let stats = this.components.get(name);
+    if (!stats) {
+      stats = {
+        phases: new Map(), // phase -> Histogram (seconds)
+        renders: Object.fromEntries(RENDER_RESULTS.map((result) => [result, 0])),
+        cache: Object.fromEntries(CACHE_RESULTS.map((result) => [result, 0])),
+      };
+      this.components.set(name, stats);
+    }
+    return stats;
+  }
+
+  /**
+   * Record `ms` spent in `phase` of a render of `component`.
+   */
+  observe(component, phase, ms) {
+    const { phases } = this._component(component);
+    if (!phases.has(phase)) phases.set(phase, new Histogram(this.buckets));
+    phases.get(phase).observe(ms / 1000);
+  }
+
+  countRender(component, result) {
+    this._component(component).renders[result]++;
+  }
+
+  countCache(component, result) {
+    this._component(component).cache[result]++;
+  }
+
+  /**
+   * Timer for one render; `timing` is the request's ServerTiming, if any.
+   */
+  timer(component, timing) {
+    return new RenderTimer(this, component, timing);
+  }
+
+  /**
+   * Plain-object view: per component, render results, error rate, cache
+   * lookups, hit ratio and phase timings in ms. `gauges` are copied in.
+   */
+  snapshot(gauges = {}) {
+    const components = {};
+
+    for (const [name, { phases, renders, cache }] of this.components) {
+      const rendered = RENDER_RESULTS.reduce((sum, result) => sum + renders[result], 0);
+      const lookups = CACHE_RESULTS.reduce((sum, result) => sum + cache[result], 0);
+
+      components[name] = {
+        renders: { ...renders },
+        errorRate: rendered ? renders.error / rendered : 0,
+        cache: { ...cache },
+        hitRatio: lookups ? (cache.hit + cache.stale) / lookups : 0,
+        phases: Object.fromEntries(
+          [...phases].map(([phase, h]) => [
+            phase,
+            { count: h.count, totalMs: h.sum * 1000, avgMs: (h.sum / h.count) * 1000, maxMs: h.max * 1000 },
+          ])
+        ),
+      };
+    }
+
+    return { ...gauges, components };
+  }
+
+  /**
+   * Prometheus text exposition format. `gauges` is a list of
+   * { name, help, value } added as domainex_<name>.
+   */
+  prometheus(gauges = []) {
+    const lines = [];
+
+    lines.push(
+      "# HELP domainex_render_duration_seconds Render time per component and phase.",
+      "# TYPE domainex_render_duration_seconds histogram"
+    );
+    for (const [name, { phases }] of this.components) {
+      for (const [phase, h] of phases) {
+        const labels = `component="${escapeLabel(name)}",phase="${phase}"`;
+
+        let cumulative = 0;
+        h.buckets.forEach((le, i) => {
+          cumulative += h.counts[i];
+          lines.push(`domainex_render_duration_seconds_bucket{${labels},le="${le}"} ${cumulative}`);
+        });
+        lines.push(
+          `domainex_render_duration_seconds_bucket{${labels},le="+Inf"} ${h.count}`,
+          `domainex_render_duration_seconds_sum{${labels}} ${h.sum}`,
+          `domainex_render_duration_seconds_count{${labels}} ${h.count}`
+        );
+      }
+    }
+
+    counter(lines, "renders_total", "Renders per component and result.", this.components, "renders");
+    counter(lines, "cache_lookups_total", "Render cache lookups per component and result.", this.components, "cache");
+
+    for (const { name, help, value } of gauges) {
+      lines.push(`# HELP domainex_${name} ${help}`, `# TYPE domainex_${name} gauge`, `domainex_${name} ${value}`);
+    }
+
+    return `${lines.join("\n")}\n`;
+  }
+}
+
+function counter(lines, name, help, components, field) {
+  lines.push(`# HELP domainex_${name} ${help}`, `# TYPE domainex_${name} counter`);
+  for (const [component, stats] of components) {
+    for (const [result, value] of Object.entries(stats[field])) {
+      lines.push(`domainex_${name}{component="${escapeLabel(component)}",result="${result}"} ${value}`);
+    }
+  }
+}
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+}
+
+/**
+ * Times the phases of one render into Metrics and the request's
+ * ServerTiming.
+ */
+class RenderTimer {
+  constructor(metrics, component, timing) {
+    this.metrics = metrics;
+    this.component = component;
+    this.timing = timing || null;
+    this.start = performance.now();
+  }
+
+  /**
+   * Run `fn` (sync or async) as `name` and resolve to its result.
+   */
+  async phase(name, fn) {
+    const start = performance.now();
+    try {
+      return await fn();
+    } finally {
+      this.record(name, performance.now() - start);
+    }
+  }
+
+  record(name, ms) {
+    this.metrics.observe(this.component, name, ms);
+    this.timing?.add(name, ms);
+  }
+
+  cache(result) {
+    this.metrics.countCache(this.component, result);
+    this.timing?.add("cache", null, result);
+  }
+
+  /**
+   * The render is over: "ok" or "fallback".
+   */
+  end(result) {
+    this.record("total", performance.now() - this.start);
+    this.metrics.countRender(this.component, result);
+  }
+
+  /**
+   * The render threw. Server errors count as "error"; redirects and 4xx
+   * (e.g. a loader's notFound) aren't counted as renders.
+   */
+  fail(err) {
+    if (statusOf(err) >= 500) this.end("error");
+  }
+}
+
+/**
+ * Server-Timing header for one response. Every add() rewrites the header
+ * of `res` until its headers are sent.
+ */
+class ServerTiming {
+  constructor(res) {
+    this.res = res;
+    this.entries = [];
+  }
+
+  add(name, ms, desc) {
+    this.entries.push({ name, ms, desc });
+    if (this.res && !this.res.headersSent) this.res.setHeader("Server-Timing", this.header());
+  }
+
+  header() {
+    return this.entries
+      .map(({ name, ms, desc }) => {
+        let entry = name;
+        if (ms != null) entry += `;dur=${ms.toFixed(1)}`;
+        if (desc) entry += `;desc="${desc}"`;
+        return entry;
+      })
+      .join(", ");
+  }
+}
+
+module.exports = {
+  Metrics,
+  ServerTiming,
+  DEFAULT_BUCKETS,
+};
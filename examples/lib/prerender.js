@@ -0,0 +1,218 @@
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+
+const { compilePattern, buildPath } = require("./router");
+const { NotFoundError, RedirectError } = require("./errors");
+
+// Written to outDir by every export; `clean` only empties a directory that has it
+const MARKER_FILE = ".domainex-prerender";
+
+/**
+ * Static site generation for DomainEx#prerender.
+ *
+ * Takes the same `routes` object as createServer(). Dynamic routes list the
+ * params to export with `staticParams` (an array, or a function returning
+ * one):
+ *
+ *   "/users/:id": {
+ *     component: "User",
+ *     props: (req, params) => ({ id: params.id }),
+ *     staticParams: async () => [{ id: "1" }, { id: "2" }],
+ *   }
+ *
+ * Every page is written as <outDir>/<path>/index.html. A route with
+ * `status: 404` and no params is written to <outDir>/404.html instead.
+ * A failing page is recorded and the export carries on.
+ */
+
+/**
+ * Minimal stand-in for an IncomingMessage, enough for props functions.
+ */
+function fakeRequest(urlPath, params) {
+  return {
+    method: "GET",
+    url: urlPath,
+    headers: { host: "localhost" },
+    params,
+    query: {},
+  };
+}
+
+/**
+ * "/users/42" -> <outDir>/users/42/index.html, refusing anything that would
+ * land outside outDir.
+ */
+function outputFile(outDir, urlPath) {
+  const segments = urlPath.split("/").filter(Boolean).map(decodeURIComponent);
+  const file = path.resolve(outDir, ...segments, "index.html");
+
+  if (!file.startsWith(outDir + path.sep)) {
+    throw new Error(`[DomainEx] Refusing to write outside outDir: ${urlPath}`);
+  }
+
+  return file;
+}
+
+async function expandRoute(pattern, route) {
+  const { keys } = compilePattern(pattern);
+
+  if (route.staticParams) {
+    const list =
+      typeof route.staticParams === "function"
+        ? await route.staticParams()
+        : route.staticParams;
+    return list.map((params) => ({ urlPath: buildPath(pattern, params), params }));
+  }
+
+  if (keys.length === 0) {
+    return [{ urlPath: buildPath(pattern), params: {} }];
+  }
+
+  return null;
+}
+
+/**
+ * Throw if `outDir` is, or contains, the working directory or a directory
+ * the site is built from, so a wrong --out can't overwrite or (with
+ * `clean`) delete sources.
+ */
+function checkOutDir(dx, outDir, opts) {
+  const { distPath, templatePath, partialsPath, layoutsPath } = dx.options;
+
+  const protectedDirs = [
+    process.cwd(),
+    path.join(process.cwd(), "components"),
+    // build.js keeps components/ next to dist/
+    path.join(path.dirname(path.resolve(distPath)), "components"),
+    distPath,
+    path.dirname(templatePath),
+    partialsPath,
+    layoutsPath,
+    opts.staticDir,
+  ];
+
+  for (const dir of protectedDirs) {
+    if (!dir) continue;
+
+    const rel = path.relative(outDir, path.resolve(dir));
+    if (!rel.startsWith("..") && !path.isAbsolute(rel)) {
+      throw new Error(`[DomainEx] prerender: refusing to write to ${outDir}, it contains ${path.resolve(dir)}.`);
+    }
+  }
+}
+
+/**
+ * Empty outDir before an export. A non-empty directory is only emptied if
+ * an earlier prerender() wrote it, so `clean` can't wipe anything else.
+ */
+async function cleanOutDir(outDir) {
+  const entries = await fs.promises.readdir(outDir).catch((err) => {
+    if (err.code === "ENOENT") return [];
+    throw err;
+  });
+  if (entries.length === 0) return;
+
+  if (!entries.includes(MARKER_FILE)) {
+    throw new Error(
+      `[DomainEx] prerender: refusing to clean ${outDir}, it isn't empty and has no ${MARKER_FILE} file from an earlier export.`
+    );
+  }
+
+  await fs.promises.rm(outDir, { recursive: true, force: true });
+}
+
+async function prerender(dx, routes = {}, opts = {}) {
+  const logger = dx.options.logger;
+  const outDir = path.resolve(opts.outDir || path.join(process.cwd(), "out"));
+
+  checkOutDir(dx, outDir, opts);
+
+  if (!dx.isInitialized) await dx.initialize();
+
+  // Only on request: outDir may hold files that aren't ours
+  if (opts.clean === true) await cleanOutDir(outDir);
+  await fs.promises.mkdir(outDir, { recursive: true });
+
+  // Mark only directories that hold nothing but exports
+  const entries = await fs.promises.readdir(outDir);
+  if (entries.length === 0) {
+    await fs.promises.writeFile(path.join(outDir, MARKER_FILE), "", "utf8");
+  }
+
+  const report = { outDir, pages: [], failures: [], skipped: [] };
+
+  for (const [pattern, route] of Object.entries(routes)) {
+    let pages;
+
+    try {
+      pages = await expandRoute(pattern, route);
+    } catch (err) {
+      report.failures.push({ route: pattern, path: null, error: err });
+      logger?.error?.(`[DomainEx] prerender: ${pattern} failed to list params`, dx.fixStacktrace(err));
+      continue;
+    }
+
+    if (!pages) {
+      if (route.status === 404) {
+        pages = [{ urlPath: null, params: {} }];
+      } else {
+        report.skipped.push({ route: pattern, reason: "dynamic route without staticParams" });
+        logger?.warn?.(`[DomainEx] prerender: skipping ${pattern} (no staticParams)`);
+        continue;
+      }
+    }
+
+    for (const { urlPath, params } of pages) {
+      try {
+        const req = fakeRequest(urlPath || "/404", params);
+        const props =
+          typeof route.props === "function"
+            ? await route.props(req, params)
+            : route.props || {};
+
+        const html = await dx.render(route.component, props, {
+          layout: route.layout,
+          req,
+          params,
+          // A failed page is reported, not written out as a shell
+          fallback: false,
+        });
+
+        const file =
+          urlPath === null ? path.join(outDir, "404.html") : outputFile(outDir, urlPath);
+
+        await fs.promises.mkdir(path.dirname(file), { recursive: true });
+        await fs.promises.writeFile(file, html, "utf8");
+
+        report.pages.push({ route: pattern, path: urlPath, file });
+        logger?.log?.(`[DomainEx] prerender: ${urlPath || "404"} -> ${path.relative(outDir, file)}`);
+      } catch (err) {
+        // A loader decided there is no page here
+        if (err instanceof NotFoundError || err instanceof RedirectError) {
+          const reason = err instanceof RedirectError ? `redirects to ${err.location}` : "not found";
+          report.skipped.push({ route: pattern, path: urlPath, reason });
+          logger?.warn?.(`[DomainEx] prerender: skipping ${urlPath || pattern} (${reason})`);
+          continue;
+        }
+
+        report.failures.push({ route: pattern, path: urlPath, error: err });
+        logger?.error?.(`[DomainEx] prerender: ${urlPath || pattern} failed`, dx.fixStacktrace(err));
+      }
+    }
+  }
+
+  // Same options createServer() uses to serve assets
+  if (opts.staticDir) {
+    const prefix = (opts.staticUrlPrefix || "/").split("/").filter(Boolean);
+    const target = path.join(outDir, ...prefix);
+
+    await fs.promises.cp(opts.staticDir, target, { recursive: true });
+    logger?.log?.(`[DomainEx] prerender: copied ${opts.staticDir} -> ${path.relative(process.cwd(), target)}`);
+  }
+
+  return report;
+}
+
+module.exports = { prerender };
@@ -0,0 +1,245 @@
+"use strict";
+
+const os = require("os");
+const path = require("path");
+const { PassThrough } = require("stream");
+const { Worker } = require("worker_threads");
+
+const { deserializeError } = require("./errors");
+
+/**
+ * worker_threads pool for DomainEx renders (the `renderWorkers` option).
+ *
+ * Each worker (lib/render-worker.js) loads dist components itself and runs
+ * the built-in adapters, so a slow or looping component only blocks its
+ * worker. A render that takes longer than `timeout` fails, and its worker
+ * is replaced. Workers that crash or run out of memory (`maxMemoryMb`) are
+ * replaced too; the render they were running fails.
+ *
+ * Renders wait in a queue while every worker is busy.
+ */
+
+const WORKER_FILE = path.join(__dirname, "render-worker.js");
+
+function defaultSize() {
+  const cpus = typeof os.availableParallelism === "function" ? os.availableParallelism() : os.cpus().length;
+  return Math.max(cpus - 1, 1);
+}
+
+class RenderPool {
+  constructor({ size, timeout = 10000, maxMemoryMb = 0, logger } = {}) {
+    this.size = size > 0 ? size : defaultSize();
+    this.timeout = timeout;
+    this.maxMemoryMb = maxMemoryMb;
+    this.logger = logger;
+
+    this.workers = new Set(); // { worker, job, retire }
+    this.queue = []; // jobs waiting for a worker
+    this.nextId = 1;
+    this.closed = false;
+
+    for (let i = 0; i < this.size; i++) this._spawn();
+  }
+
+  /**
+   * Render to a string in a worker.
+   * job: { name, file, framework, props }
+   * Resolves to { result, head }: the adapter's render() result and the
+   * HeadCollector contents (see HeadCollector#toJSON).
+   */
+  render(job) {
+    return new Promise((resolve, reject) => {
+      this._enqueue({
+        ...job,
+        stream: false,
+        onMessage(message) {
+          if (message.type === "done") resolve({ result: message.result, head: message.head });
+        },
+        fail: reject,
+      });
+    });
+  }
+
+  /**
+   * Stream a render from a worker. Resolves once the worker has the first
+   * markup ready, to { head, body }: the collected head (as above) and an
+   * async iterable of HTML chunks. Failures after that end `body` with
+   * the error.
+   */
+  stream(job) {
+    return new Promise((resolve, reject) => {
+      const body = new PassThrough({ encoding: "utf8" });
+      let started = false;
+
+      this._enqueue({
+        ...job,
+        stream: true,
+        onMessage(message) {
+          if (message.type === "head") {
+            started = true;
+            resolve({ head: message.head, body });
+          } else if (message.type === "chunk") {
+            body.write(message.chunk);
+          } else if (message.type === "done") {
+            body.end();
+          }
+        },
+        fail(err) {
+          if (started) body.destroy(err);
+          else reject(err);
+        },
+      });
+    });
+  }
+
+  /**
+   * Replace every worker, e.g. after components were rebuilt. Busy workers
+   * finish their render first.
+   */
+  restart() {
+    for (const slot of this.workers) {
+      if (slot.job) {
+        slot.retire = true;
+      } else {
+        this._retire(slot);
+      }
+    }
+  }
+
+  close() {
+    this.closed = true;
+
+    for (const job of this.queue.splice(0)) {
+      job.fail(new Error("[DomainEx] Render pool closed."));
+    }
+    for (const slot of this.workers) {
+      slot.job?.fail(new Error("[DomainEx] Render pool closed."));
+      slot.job = null;
+      slot.worker.terminate();
+    }
+    this.workers.clear();
+  }
+
+  // ---------------------------
+  // Internal
+  // ---------------------------
+
+  _spawn() {
+    const worker = new Worker(WORKER_FILE, {
+      resourceLimits: this.maxMemoryMb > 0 ? { maxOldGenerationSizeMb: this.maxMemoryMb } : undefined,
+    });
+
+    const slot = { worker, job: null, retire: false };
+    this.workers.add(slot);
+
+    // Idle workers don't keep the process alive
+    worker.unref();
+
+    worker.on("message", (message) => this._onMessage(slot, message));
+    worker.on("error", (err) => this._onExit(slot, err));
+    worker.on("exit", (code) =>
+      this._onExit(slot, new Error(`[DomainEx] Render worker exited with code ${code}.`))
+    );
+
+    this._dispatch();
+  }
+
+  _enqueue(job) {
+    if (this.closed) {
+      job.fail(new Error("[DomainEx] Render pool closed."));
+      return;
+    }
+
+    job.id = this.nextId++;
+    this.queue.push(job);
+    this._dispatch();
+  }
+
+  _dispatch() {
+    for (const slot of this.workers) {
+      if (!this.queue.length) return;
+      if (slot.job || slot.retire) continue;
+
+      const job = this.queue.shift();
+      slot.job = job;
+      slot.worker.ref();
+
+      if (this.timeout > 0) {
+        job.timer = setTimeout(() => {
+          // The worker may be stuck in a loop: replace it
+          slot.retire = true;
+          this._finish(slot, new Error(`[DomainEx] Render of "${job.name}" timed out after ${this.timeout}ms.`));
+        }, this.timeout);
+      }
+
+      const { id, name, file, framework, props, stream } = job;
+      try {
+        slot.worker.postMessage({ id, name, file, framework, props, stream });
+      } catch (err) {
+        // Props that can't be cloned, e.g. functions. They render on the main thread
+        this._finish(
+          slot,
+          new Error(`[DomainEx] Props of "${name}" can't be sent to a render worker: ${err.message}`, { cause: err })
+        );
+      }
+    }
+  }
+
+  _onMessage(slot, message) {
+    if (message.type === "log") {
+      this.logger?.[message.level]?.(message.message);
+      return;
+    }
+
+    const job = slot.job;
+    if (!job || message.id !== job.id) return; // from a render that already failed
+
+    if (message.type === "error") {
+      this._finish(slot, deserializeError(message.error));
+      return;
+    }
+
+    job.onMessage(message);
+    if (message.type === "done") this._finish(slot, null);
+  }
+
+  // The job is over (err set when it failed); the worker takes the next one
+  _finish(slot, err) {
+    const job = slot.job;
+    if (!job) return;
+
+    clearTimeout(job.timer);
+    slot.job = null;
+    slot.worker.unref();
+
+    if (err) job.fail(err);
+
+    if (slot.retire) {
+      this._retire(slot);
+    } else {
+      this._dispatch();
+    }
+  }
+
+  _retire(slot) {
+    slot.retire = true;
+    slot.worker.terminate();
+  }
+
+  // Crashed, out of memory, timed out or retired: start a replacement
+  _onExit(slot, err) {
+    if (!this.workers.has(slot)) return;
+    this.workers.delete(slot);
+
+    if (slot.job) {
+      if (!slot.retire) this.logger?.error?.(`[DomainEx] Render worker failed while rendering "${slot.job.name}":`, err);
+      this._finish(slot, err);
+    }
+
+    if (!this.closed) this._spawn();
+  }
+}
+
+module.exports = {
+  RenderPool,
+};
@@ -0,0 +1,65 @@
+"use strict";
+
+const util = require("util");
+const { parentPort } = require("worker_threads");
+
+const { BUILTIN_ADAPTERS } = require("./adapters");
+const { HeadCollector } = require("./head");
+const { serializeError } = require("./errors");
+
+/**
+ * Render worker, started by lib/render-pool.js. Runs one render at a time:
+ *
+ *   in:  { id, name, file, framework, props, stream }
+ *   out: { id, type: "done", result, head }                  render
+ *        { id, type: "head", head }, { id, type: "chunk", chunk }...,
+ *        { id, type: "done" }                                stream
+ *        { id, type: "error", error }
+ *        { type: "log", level, message }                     any time
+ *
+ * Component modules are required here on first use and stay loaded for
+ * the life of the worker; the pool replaces workers after a hot reload.
+ */
+
+function send(message) {
+  parentPort.postMessage(message);
+}
+
+// Console-like logger that prints on the main thread
+const logger = Object.fromEntries(
+  ["log", "warn", "error"].map((level) => [
+    level,
+    (...args) => send({ type: "log", level, message: util.format(...args) }),
+  ])
+);
+
+async function run({ id, file, framework, props, stream }) {
+  const adapter = BUILTIN_ADAPTERS[framework];
+  if (!adapter) throw new Error(`[DomainEx] Render workers can't use the "${framework}" adapter.`);
+
+  const mod = require(file);
+  const head = new HeadCollector({ logger });
+  const ctx = { dx: null, logger, head };
+
+  if (!stream || !adapter.renderStream) {
+    const result = await adapter.render(mod, props, ctx);
+    send({ id, type: "done", result, head: head.toJSON() });
+    return;
+  }
+
+  const body = await adapter.renderStream(mod, props, ctx);
+
+  // The main thread sends <head> now; later tags are dropped with a warning
+  send({ id, type: "head", head: head.toJSON() });
+  head.flushed = true;
+
+  for await (const chunk of body) {
+    send({ id, type: "chunk", chunk: typeof chunk === "string" ? chunk : Buffer.from(chunk).toString("utf8") });
+  }
+
+  send({ id, type: "done" });
+}
+
+parentPort.on("message", (job) => {
+  run(job).catch((err) => send({ id: job.id, type: "error", error: serializeError(err) }));
+});
@@ -0,0 +1,144 @@
+"use strict";
+
+/**
+ * Route matching for DomainEx#createServer.
+ *
+ * Patterns:
+ *   "/about"          exact path
+ *   "/users/:id"      named segment      -> params.id
+ *   "/posts/:slug?"   optional segment   -> params.slug (undefined if absent)
+ *   "/files/:path*"   named catch-all    -> params.path ("a/b/c" or undefined)
+ *   "/docs/*"         catch-all          -> params["*"]
+ *   "*"               matches everything (useful as a last-resort fallback)
+ *
+ * Routes are tried in declaration order and the first match wins.
+ */
+
+const SEGMENT_PARAM = /^:([A-Za-z_$][\w$]*)([?*])?$/;
+
+function escapeRegex(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function safeDecode(value) {
+  if (value === undefined) return undefined;
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    return value;
+  }
+}
+
+function compilePattern(pattern) {
+  if (pattern === "*") {
+    return { regex: /^\/?(.*)$/, keys: ["*"] };
+  }
+
+  const keys = [];
+  let source = "";
+
+  for (const segment of pattern.split("/").filter(Boolean)) {
+    if (segment === "*") {
+      keys.push("*");
+      source += "(?:/(.*))?";
+      continue;
+    }
+
+    const param = SEGMENT_PARAM.exec(segment);
+    if (!param) {
+      source += `/${escapeRegex(segment)}`;
+      continue;
+    }
+
+    const [, name, modifier] = param;
+    keys.push(name);
+
+    if (modifier === "?") {
+      source += "(?:/([^/]+))?";
+    } else if (modifier === "*") {
+      source += "(?:/(.*))?";
+    } else {
+      source += "/([^/]+)";
+    }
+  }
+
+  // Tolerate a trailing slash
+  return { regex: new RegExp(`^${source}/?$`), keys };
+}
+
+/**
+ * Turn a `routes` object into an ordered list of matchers.
+ */
+function compileRoutes(routes = {}) {
+  return Object.entries(routes).map(([pattern, route]) => {
+    const { regex, keys } = compilePattern(pattern);
+    return { pattern, regex, keys, route };
+  });
+}
+
+/**
+ * Find the first route matching `pathname`.
+ * Returns { route, params, pattern } or null.
+ */
+function matchRoute(compiled, pathname) {
+  for (const { pattern, regex, keys, route } of compiled) {
+    const match = regex.exec(pathname);
+    if (!match) continue;
+
+    const params = {};
+    keys.forEach((key, i) => {
+      const value = match[i + 1];
+      // An empty catch-all counts as "not provided"
+      params[key] = value === "" ? undefined : safeDecode(value);
+    });
+
+    return { route, params, pattern };
+  }
+
+  return null;
+}
+
+/**
+ * Inverse of matching: fill a pattern with params to get a concrete path.
+ *   buildPath("/users/:id", { id: 42 }) -> "/users/42"
+ */
+function buildPath(pattern, params = {}) {
+  if (pattern === "*") {
+    return `/${params["*"] ?? ""}`;
+  }
+
+  const parts = [];
+
+  for (const segment of pattern.split("/").filter(Boolean)) {
+    const param = segment === "*" ? ["*", "*", "*"] : SEGMENT_PARAM.exec(segment);
+
+    if (!param) {
+      parts.push(segment);
+      continue;
+    }
+
+    const [, name, modifier] = param;
+    const value = params[name];
+
+    if (value === undefined || value === null || value === "") {
+      if (modifier) continue;
+      throw new Error(`[DomainEx] Missing param "${name}" for route "${pattern}".`);
+    }
+
+    if (modifier === "*") {
+      // Catch-alls may span several segments
+      parts.push(...String(value).split("/").filter(Boolean).map(encodeURIComponent));
+    } else {
+      parts.push(encodeURIComponent(String(value)));
+    }
+  }
+
+  return `/${parts.join("/")}`;
+}
+
+module.exports = {
+  compilePattern,
+  compileRoutes,
+  matchRoute,
+  buildPath,
+};
@@ -0,0 +1,147 @@
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const { SourceMap } = require("module");
+const { fileURLToPath } = require("url");
+
+/**
+ * Source maps for dist/ modules.
+ *
+ * Build side: an adapter's buildServer() may return `{ code, map }`, and
+ * build.js writes the map next to the module as <name>.js.map. Map sources
+ * are absolute paths while building; build.js makes them relative to dist/.
+ * identityMap() and concatMaps() help adapters that copy or assemble code.
+ *
+ * Runtime side: remapStack() rewrites stack frames that point into dist/
+ * back to the original component sources using node's SourceMap, so no
+ * process-wide --enable-source-maps is needed.
+ */
+
+// "    at fn (/abs/file.js:12:5)" or "    at /abs/file.js:12:5"
+const FRAME = /^(\s*at (?:.*? \()?)(.+?):(\d+):(\d+)(\)?)$/;
+
+function countNewlines(str) {
+  let count = 0;
+  for (let i = str.indexOf("\n"); i !== -1; i = str.indexOf("\n", i + 1)) count++;
+  return count;
+}
+
+/**
+ * Map for output that is a verbatim copy of `source`: line N -> line N.
+ */
+function identityMap(code, source) {
+  const lines = countNewlines(code) + 1;
+
+  return {
+    version: 3,
+    sources: [source],
+    names: [],
+    // First line starts at 0:0, every later line moves one source line down
+    mappings: ["AAAA", ...new Array(lines - 1).fill("AACA")].join(";"),
+  };
+}
+
+/**
+ * Join code chunks with newlines, merging the maps of those that have one.
+ * Every chunk must start at column 0 of its line in the output.
+ *
+ *   concatMaps([{ code: header }, { code: script, map: scriptMap }, ...])
+ *   -> { code, map }
+ */
+function concatMaps(chunks) {
+  const { GenMapping, addSegment, setSourceContent, toEncodedMap } = require("@jridgewell/gen-mapping");
+  const { TraceMap, decodedMappings } = require("@jridgewell/trace-mapping");
+
+  const gen = new GenMapping();
+  let lineOffset = 0;
+
+  for (const { code, map } of chunks) {
+    if (map) {
+      const traced = new TraceMap(map);
+
+      traced.sources.forEach((source, i) => {
+        const content = traced.sourcesContent?.[i];
+        if (content) setSourceContent(gen, source, content);
+      });
+
+      decodedMappings(traced).forEach((segments, line) => {
+        for (const [column, sourceIndex, sourceLine, sourceColumn, nameIndex] of segments) {
+          if (sourceIndex === undefined) continue;
+
+          addSegment(
+            gen,
+            lineOffset + line,
+            column,
+            traced.sources[sourceIndex],
+            sourceLine,
+            sourceColumn,
+            nameIndex === undefined ? undefined : traced.names[nameIndex]
+          );
+        }
+      });
+    }
+
+    lineOffset += countNewlines(code) + 1;
+  }
+
+  return {
+    code: chunks.map((chunk) => chunk.code).join("\n"),
+    map: toEncodedMap(gen),
+  };
+}
+
+/**
+ * Read <file>.map for a dist module. Returns null when there is none.
+ */
+function loadSourceMap(file) {
+  let raw;
+  try {
+    raw = fs.readFileSync(`${file}.map`, "utf8");
+  } catch {
+    return null;
+  }
+
+  return { map: new SourceMap(JSON.parse(raw)), dir: path.dirname(file) };
+}
+
+function resolveSource(dir, source) {
+  return source.startsWith("file://") ? fileURLToPath(source) : path.resolve(dir, source);
+}
+
+/**
+ * Rewrite the frames of `stack` that `mapFor(file)` has a source map for.
+ * `mapFor` returns the result of loadSourceMap() or null.
+ */
+function remapStack(stack, mapFor) {
+  return String(stack)
+    .split("\n")
+    .map((text) => {
+      const match = FRAME.exec(text);
+      if (!match) return text;
+
+      const [, before, file, rawLine, rawColumn, after] = match;
+      const loaded = mapFor(file);
+      if (!loaded) return text;
+
+      const line = Number(rawLine) - 1;
+      const column = Number(rawColumn) - 1;
+
+      const entry = loaded.map.findEntry(line, column);
+      if (!entry || entry.originalSource === undefined) return text;
+
+      // Mappings only mark token starts; keep the offset within the token
+      const offset = entry.generatedLine === line ? column - entry.generatedColumn : 0;
+
+      const source = resolveSource(loaded.dir, entry.originalSource);
+      return `${before}${source}:${entry.originalLine + 1}:${entry.originalColumn + offset + 1}${after}`;
+    })
+    .join("\n");
+}
+
+module.exports = {
+  identityMap,
+  concatMaps,
+  loadSourceMap,
+  remapStack,
+};
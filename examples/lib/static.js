@@ -0,0 +1,242 @@
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+
+const { etagMatches } = require("./http-cache");
+
+/**
+ * Static file handler for DomainEx#createServer.
+ *
+ * - MIME type from the file extension
+ * - ETag / Last-Modified validators and 304 responses
+ * - single byte-range requests (206 / 416)
+ * - requests can never escape `root`
+ * - fingerprinted files (e.g. App-3aee8b49.js) are cached for a year
+ */
+
+const MIME_TYPES = {
+  ".html": "text/html; charset=utf-8",
+  ".htm": "text/html; charset=utf-8",
+  ".css": "text/css; charset=utf-8",
+  ".js": "text/javascript; charset=utf-8",
+  ".mjs": "text/javascript; charset=utf-8",
+  ".map": "application/json; charset=utf-8",
+  ".json": "application/json; charset=utf-8",
+  ".txt": "text/plain; charset=utf-8",
+  ".xml": "application/xml; charset=utf-8",
+  ".svg": "image/svg+xml",
+  ".png": "image/png",
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".gif": "image/gif",
+  ".webp": "image/webp",
+  ".avif": "image/avif",
+  ".ico": "image/x-icon",
+  ".woff": "font/woff",
+  ".woff2": "font/woff2",
+  ".ttf": "font/ttf",
+  ".otf": "font/otf",
+  ".mp4": "video/mp4",
+  ".webm": "video/webm",
+  ".mp3": "audio/mpeg",
+  ".wav": "audio/wav",
+  ".pdf": "application/pdf",
+  ".wasm": "application/wasm",
+};
+
+// name-<hex hash>.ext, as written by build.js
+const FINGERPRINTED = /[-.][0-9a-f]{8,}\.[a-z0-9]+$/i;
+
+const IMMUTABLE_CACHE = "public, max-age=31536000, immutable";
+const REVALIDATE_CACHE = "public, max-age=0, must-revalidate";
+
+function mimeType(filePath) {
+  return MIME_TYPES[path.extname(filePath).toLowerCase()] || "application/octet-stream";
+}
+
+function etagFor(stat) {
+  return `W/"${stat.size.toString(16)}-${Math.floor(stat.mtimeMs).toString(16)}"`;
+}
+
+/**
+ * `If-None-Match` wins over `If-Modified-Since` (RFC 9110 13.2.2).
+ */
+function isNotModified(req, etag, mtime) {
+  const ifNoneMatch = req.headers["if-none-match"];
+  if (ifNoneMatch) {
+    return etagMatches(ifNoneMatch, etag);
+  }
+
+  const ifModifiedSince = Date.parse(req.headers["if-modified-since"] || "");
+  if (!Number.isNaN(ifModifiedSince)) {
+    // HTTP dates have second precision
+    return Math.floor(mtime.getTime() / 1000) * 1000 <= ifModifiedSince;
+  }
+
+  return false;
+}
+
+/**
+ * Parse a single `bytes=` range. Returns:
+ *   null          -> no usable range, send the whole file
+ *   { start, end } -> satisfiable range (inclusive)
+ *   false         -> unsatisfiable (416)
+ */
+function parseRange(header, size) {
+  const match = /^bytes=(\d*)-(\d*)$/.exec(String(header).trim());
+
+  // Multiple ranges or garbage: ignoring Range is always allowed
+  if (!match) return null;
+
+  const [, rawStart, rawEnd] = match;
+  if (rawStart === "" && rawEnd === "") return null;
+
+  let start;
+  let end;
+
+  if (rawStart === "") {
+    // Suffix range: last N bytes
+    const suffix = Number(rawEnd);
+    if (suffix === 0) return false;
+    start = Math.max(size - suffix, 0);
+    end = size - 1;
+  } else {
+    start = Number(rawStart);
+    end = rawEnd === "" ? size - 1 : Math.min(Number(rawEnd), size - 1);
+  }
+
+  if (start >= size || start > end) return false;
+
+  return { start, end };
+}
+
+/**
+ * `If-Range` only keeps the range if the validator still matches.
+ */
+function rangeStillValid(req, etag, mtime) {
+  const ifRange = req.headers["if-range"];
+  if (!ifRange) return true;
+
+  if (ifRange.startsWith('"') || ifRange.startsWith("W/")) {
+    // Weak validators are never good enough for If-Range
+    return !etag.startsWith("W/") && ifRange === etag;
+  }
+
+  return Date.parse(ifRange) === Math.floor(mtime.getTime() / 1000) * 1000;
+}
+
+/**
+ * Map a request path to a file inside `root`, or null if it would escape it.
+ */
+function resolveSafe(root, prefix, pathname) {
+  if (!pathname.startsWith(prefix)) return null;
+
+  let rel;
+  try {
+    rel = decodeURIComponent(pathname.slice(prefix.length));
+  } catch {
+    return null;
+  }
+
+  if (rel.includes("\0")) return null;
+
+  const filePath = path.resolve(root, `.${path.posix.sep}${rel}`);
+  if (filePath !== root && !filePath.startsWith(root + path.sep)) return null;
+
+  return filePath;
+}
+
+/**
+ * Create a handler `(req, res) => Promise<boolean>`.
+ * Resolves to false when the request is not for an existing file, so the
+ * caller can fall through to its routes.
+ */
+function createStaticHandler({ root, prefix = "/" } = {}) {
+  if (!root) {
+    throw new Error("[DomainEx] Static handler needs a root directory.");
+  }
+
+  const rootDir = path.resolve(root);
+  const urlPrefix = prefix.endsWith("/") ? prefix : `${prefix}/`;
+
+  return async function serveStatic(req, res) {
+    if (req.method !== "GET" && req.method !== "HEAD") return false;
+
+    const pathname = new URL(req.url, "http://localhost").pathname;
+    const filePath = resolveSafe(rootDir, urlPrefix, pathname);
+    if (!filePath) return false;
+
+    let stat;
+    try {
+      stat = await fs.promises.stat(filePath);
+    } catch {
+      return false;
+    }
+    if (!stat.isFile()) return false;
+
+    const etag = etagFor(stat);
+
+    res.setHeader("Content-Type", mimeType(filePath));
+    res.setHeader("ETag", etag);
+    res.setHeader("Last-Modified", stat.mtime.toUTCString());
+    res.setHeader("Accept-Ranges", "bytes");
+    res.setHeader(
+      "Cache-Control",
+      FINGERPRINTED.test(path.basename(filePath)) ? IMMUTABLE_CACHE : REVALIDATE_CACHE
+    );
+
+    if (isNotModified(req, etag, stat.mtime)) {
+      res.statusCode = 304;
+      res.removeHeader("Content-Type");
+      res.end();
+      return true;
+    }
+
+    let range = null;
+    if (req.headers.range && rangeStillValid(req, etag, stat.mtime)) {
+      range = parseRange(req.headers.range, stat.size);
+    }
+
+    if (range === false) {
+      res.statusCode = 416;
+      res.setHeader("Content-Range", `bytes */${stat.size}`);
+      res.end();
+      return true;
+    }
+
+    const start = range ? range.start : 0;
+    const end = range ? range.end : stat.size - 1;
+
+    res.statusCode = range ? 206 : 200;
+    res.setHeader("Content-Length", stat.size === 0 ? 0 : end - start + 1);
+    if (range) {
+      res.setHeader("Content-Range", `bytes ${start}-${end}/${stat.size}`);
+    }
+
+    if (req.method === "HEAD" || stat.size === 0) {
+      res.end();
+      return true;
+    }
+
+    await new Promise((resolve) => {
+      const stream = fs.createReadStream(filePath, { start, end });
+      stream.on("error", (err) => {
+        res.destroy(err);
+        resolve();
+      });
+      res.on("close", () => {
+        stream.destroy();
+        resolve();
+      });
+      stream.pipe(res);
+    });
+
+    return true;
+  };
+}
+
+module.exports = {
+  createStaticHandler,
+  mimeType,
+};
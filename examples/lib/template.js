@@ -0,0 +1,323 @@
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Page template language.
+ *
+ *   {{user.name}}                 escaped value (dotted paths)
+ *   {{title || Untitled page}}    fallback: a path, a "quoted string", or plain text
+ *   {{{rawHtml}}}                 unescaped value
+ *   {{#if user}}...{{else}}...{{/if}}
+ *   {{#unless user}}...{{/unless}}
+ *   {{#each items}}{{name}} {{@index}}{{else}}empty{{/each}}
+ *   {{> header}}                  partial from the partials directory
+ *   {{! comment }}
+ *
+ * Inside {{#each}}, `this` is the current item, `@index` / `@key` /
+ * `@first` / `@last` describe its position, and names that aren't own
+ * properties of the item are looked up in the enclosing scopes. Inherited
+ * properties (`constructor`, `toString`) are never found.
+ *
+ * Templates are parsed once; rendering walks the parsed tree.
+ */
+
+const TAG = /\{\{\{\s*([\s\S]+?)\s*\}\}\}|\{\{\s*([\s\S]+?)\s*\}\}/g;
+const PATH = /^(?:this|@?[A-Za-z_$][\w$]*)(?:\.[A-Za-z_$][\w$]*)*$/;
+const MAX_PARTIAL_DEPTH = 20;
+
+function escapeHtml(str) {
+  return String(str)
+    .replaceAll("&", "&amp;")
+    .replaceAll("<", "&lt;")
+    .replaceAll(">", "&gt;")
+    .replaceAll('"', "&quot;")
+    .replaceAll("'", "&#039;");
+}
+
+function templateError(name, source, index, message) {
+  const line = source.slice(0, index).split("\n").length;
+  return new Error(`[DomainEx] Template error (${name}:${line}): ${message}`);
+}
+
+// ---------------------------
+// Parsing
+// ---------------------------
+
+function parseExpression(expr) {
+  const alternatives = expr.split("||").map((part) => part.trim());
+
+  return alternatives.map((part, i) => {
+    const quoted = /^(["'])([\s\S]*)\1$/.exec(part);
+    if (quoted) return { literal: quoted[2] };
+
+    if (PATH.test(part)) return { path: part, literal: i > 0 ? part : undefined };
+
+    if (i === 0) throw new Error(`invalid expression "${expr}"`);
+    return { literal: part };
+  });
+}
+
+function parsePath(expr) {
+  const trimmed = expr.trim();
+  if (!PATH.test(trimmed)) throw new Error(`invalid path "${expr}"`);
+  return trimmed;
+}
+
+/**
+ * Source -> tree of nodes:
+ *   { type: "text", value }
+ *   { type: "var", alternatives, raw }
+ *   { type: "if", path, negate, body, otherwise }
+ *   { type: "each", path, body, otherwise }
+ *   { type: "partial", name }
+ */
+function parse(source, name = "template") {
+  const root = { body: [] };
+  const stack = [root];
+  let target = root.body;
+  let last = 0;
+
+  for (const match of source.matchAll(TAG)) {
+    const [full, rawExpr, expr] = match;
+    const index = match.index;
+
+    if (index > last) target.push({ type: "text", value: source.slice(last, index) });
+    last = index + full.length;
+
+    try {
+      if (rawExpr !== undefined) {
+        target.push({ type: "var", alternatives: parseExpression(rawExpr), raw: true });
+        continue;
+      }
+
+      if (expr.startsWith("!")) continue;
+
+      if (expr.startsWith(">")) {
+        target.push({ type: "partial", name: expr.slice(1).trim() });
+        continue;
+      }
+
+      const block = /^#(if|unless|each)\s+([\s\S]+)$/.exec(expr);
+      if (block) {
+        const [, kind, arg] = block;
+        const node = {
+          type: kind === "each" ? "each" : "if",
+          negate: kind === "unless",
+          kind,
+          path: parsePath(arg),
+          body: [],
+          otherwise: [],
+          index,
+        };
+        target.push(node);
+        stack.push(node);
+        target = node.body;
+        continue;
+      }
+
+      if (expr === "else") {
+        const open = stack[stack.length - 1];
+        if (open === root) throw new Error("{{else}} outside of a block");
+        if (open.inElse) throw new Error(`duplicate {{else}} in {{#${open.kind}}}`);
+        open.inElse = true;
+        target = open.otherwise;
+        continue;
+      }
+
+      const close = /^\/(if|unless|each)$/.exec(expr);
+      if (close) {
+        const open = stack.pop();
+        if (open === root || open.kind !== close[1]) {
+          throw new Error(`unexpected {{/${close[1]}}}`);
+        }
+        // Back to whichever branch of the enclosing block we were in
+        const parent = stack[stack.length - 1];
+        target = parent === root ? root.body : parent.inElse ? parent.otherwise : parent.body;
+        continue;
+      }
+
+      target.push({ type: "var", alternatives: parseExpression(expr), raw: false });
+    } catch (err) {
+      throw templateError(name, source, index, err.message);
+    }
+  }
+
+  if (last < source.length) target.push({ type: "text", value: source.slice(last) });
+
+  if (stack.length > 1) {
+    const open = stack[stack.length - 1];
+    throw templateError(name, source, open.index, `unclosed {{#${open.kind}}}`);
+  }
+
+  return root.body;
+}
+
+// ---------------------------
+// Rendering
+// ---------------------------
+
+function lookup(scopes, pathExpr) {
+  const [head, ...rest] = pathExpr.split(".");
+  const top = scopes[scopes.length - 1];
+
+  let value;
+
+  if (head === "this") {
+    value = top.ctx;
+  } else if (head.startsWith("@")) {
+    value = top.locals[head.slice(1)];
+  } else {
+    // Innermost scope that has the name wins
+    for (let i = scopes.length - 1; i >= 0; i--) {
+      const { ctx } = scopes[i];
+      if (ctx !== null && typeof ctx === "object" && Object.hasOwn(ctx, head)) {
+        value = ctx[head];
+        break;
+      }
+    }
+  }
+
+  for (const key of rest) {
+    if (value === null || value === undefined) return undefined;
+    value = value[key];
+  }
+
+  return value;
+}
+
+function isEmpty(value) {
+  return (
+    value === undefined ||
+    value === null ||
+    value === false ||
+    value === "" ||
+    (Array.isArray(value) && value.length === 0)
+  );
+}
+
+function resolveVar(scopes, alternatives) {
+  for (const alt of alternatives) {
+    if (alt.path) {
+      const value = lookup(scopes, alt.path);
+      if (!isEmpty(value)) return value;
+      // A bare word that isn't in scope is fallback text
+      if (alt.literal !== undefined) return alt.literal;
+    } else {
+      return alt.literal;
+    }
+  }
+  return "";
+}
+
+function renderNodes(nodes, scopes, partials, depth) {
+  let out = "";
+
+  for (const node of nodes) {
+    switch (node.type) {
+      case "text":
+        out += node.value;
+        break;
+
+      case "var": {
+        const value = resolveVar(scopes, node.alternatives);
+        const str = value === undefined || value === null ? "" : String(value);
+        out += node.raw ? str : escapeHtml(str);
+        break;
+      }
+
+      case "if": {
+        const truthy = !isEmpty(lookup(scopes, node.path));
+        const branch = truthy !== node.negate ? node.body : node.otherwise;
+        out += renderNodes(branch, scopes, partials, depth);
+        break;
+      }
+
+      case "each": {
+        const value = lookup(scopes, node.path);
+        const items = Array.isArray(value)
+          ? value.map((item, i) => [i, item])
+          : value && typeof value === "object"
+            ? Object.entries(value)
+            : [];
+
+        if (items.length === 0) {
+          out += renderNodes(node.otherwise, scopes, partials, depth);
+          break;
+        }
+
+        items.forEach(([key, item], i) => {
+          const locals = { index: i, key, first: i === 0, last: i === items.length - 1 };
+          out += renderNodes(node.body, [...scopes, { ctx: item, locals }], partials, depth);
+        });
+        break;
+      }
+
+      case "partial": {
+        const partial = partials.get(node.name);
+        if (!partial) throw new Error(`[DomainEx] Unknown partial "${node.name}".`);
+        if (depth >= MAX_PARTIAL_DEPTH) {
+          throw new Error(`[DomainEx] Partials nested too deeply at "${node.name}".`);
+        }
+        out += renderNodes(partial, scopes, partials, depth + 1);
+        break;
+      }
+    }
+  }
+
+  return out;
+}
+
+// ---------------------------
+// Public API
+// ---------------------------
+
+/**
+ * Read every *.html file in `dir` as a partial named after the file
+ * (e.g. partials/nav.html -> {{> nav}}). A missing directory means no partials.
+ */
+async function loadPartials(dir) {
+  const partials = new Map();
+  if (!dir || !fs.existsSync(dir)) return partials;
+
+  for (const file of await fs.promises.readdir(dir)) {
+    if (!file.endsWith(".html")) continue;
+
+    const source = await fs.promises.readFile(path.join(dir, file), "utf8");
+    partials.set(path.basename(file, ".html"), parse(source, file));
+  }
+
+  return partials;
+}
+
+/**
+ * Compile a template source into `render(data) -> string`.
+ * `partials` is a Map from loadPartials().
+ */
+function compile(source, { name = "template", partials = new Map() } = {}) {
+  const nodes = parse(source, name);
+
+  // Fail at load time rather than on the first request
+  const check = (list) => {
+    for (const node of list) {
+      if (node.type === "partial" && !partials.has(node.name)) {
+        throw new Error(`[DomainEx] Template error (${name}): unknown partial "${node.name}".`);
+      }
+      if (node.body) check(node.body);
+      if (node.otherwise) check(node.otherwise);
+    }
+  };
+  check(nodes);
+
+  return function render(data = {}) {
+    return renderNodes(nodes, [{ ctx: data, locals: {} }], partials, 0);
+  };
+}
+
+module.exports = {
+  compile,
+  loadPartials,
+  parse,
+  escapeHtml,
+};
@@ -0,0 +1,97 @@
+"use strict";
+
+/**
+ * Routes for the standalone server (`node server.js standalone`)
+ * and the static export (`node cli.js prerender`).
+ */
+
+function getQueryParams(reqUrl) {
+  const url = new URL(reqUrl, "http://localhost");
+  return Object.fromEntries(url.searchParams.entries());
+}
+
+module.exports = {
+  "/": {
+    component: "App",
+    props: () => ({
+      title: "React SSR (Standalone)",
+      user: "Guest",
+    }),
+  },
+
+  "/react": {
+    component: "App",
+    stream: true,
+    props: (req) => {
+      const q = getQueryParams(req.url);
+      return {
+        title: "React SSR (Standalone)",
+        user: q.user || "Guest",
+      };
+    },
+  },
+
+  "/vue": {
+    component: "Landing",
+    // Browsers revalidate every time, CDNs keep it for 10 minutes
+    maxAge: 0,
+    sMaxAge: 600,
+    props: (req) => {
+      const q = getQueryParams(req.url);
+      return {
+        title: "Vue SSR (Standalone)",
+        user: q.user || "Guest",
+      };
+    },
+  },
+
+  // components/Greeting.vue: <script setup lang="ts">
+  "/vue-ts": {
+    component: "Greeting",
+    props: (req) => ({ user: getQueryParams(req.url).user || "Guest" }),
+  },
+
+  "/svelte": {
+    component: "Widget",
+    props: (req) => {
+      const q = getQueryParams(req.url);
+      return {
+        title: "Svelte SSR (Standalone)",
+        user: q.user || "Guest",
+      };
+    },
+  },
+
+  // components/admin/Dashboard.jsx: components in folders are named by path
+  "/admin": {
+    component: "admin/Dashboard",
+    props: () => ({ title: "Admin (Standalone)" }),
+  },
+
+  // Same widget in a bare shell for <iframe> embeds (layouts/embed.html)
+  "/embed/svelte": {
+    component: "Widget",
+    layout: "embed",
+    props: (req) => ({
+      title: "Svelte Widget",
+      user: getQueryParams(req.url).user || "Guest",
+    }),
+  },
+
+  // /vanilla, /vanilla?user=Ezekiel or /vanilla/Ezekiel
+  // (the user comes from Home's loader())
+  "/vanilla/:user?": {
+    component: "Home",
+    // Pages written by `node cli.js prerender`
+    staticParams: [{}, { user: "Ezekiel" }],
+    props: () => ({
+      title: "Vanilla SSR (Standalone)",
+    }),
+  },
+
+  // Everything else (written to out/404.html by prerender)
+  "*": {
+    component: "NotFound",
+    status: 404,
+  },
+};
@@ -4,13 +4,18 @@ const path = require("path");
 const express = require("express");
 
 const DomainEx = require("./domainex");
+const routes = require("./routes");
 
-function getQueryParams(reqUrl) {
-  const url = new URL(reqUrl, "http://localhost");
-  return Object.fromEntries(url.searchParams.entries());
-}
+// --watch: build, then rebuild components as they change. DomainEx picks
+// the rebuilds up (hotReload, on with `dev`) and reloads open pages
+const WATCH = process.argv.includes("--watch");
+
+// Build tooling is only loaded in watch mode
+const watch = () => require("./build").watch();
 
 async function startExpress() {
+  if (WATCH) await watch();
+
   const app = express();
 
   const dx = new DomainEx({
@@ -20,10 +25,18 @@ async function startExpress() {
     cacheMaxAge: 1000 * 20,
     dev: true,
     logger: console,
+    errorComponent: "ErrorPage",
+    notFoundComponent: "NotFound",
   });
 
-  // Optional: serve built assets (if you later add hydration)
-  // app.use("/assets", express.static(path.join(__dirname, "dist/assets")));
+  // Event stream for live reload in dev
+  app.use(dx.createLiveReloadMiddleware());
+
+  // Client bundles used for hydration
+  app.use("/assets", express.static(path.join(__dirname, "dist/assets")));
+
+  // Render metrics for Prometheus
+  app.get("/metrics", dx.createMetricsHandler());
 
   app.get("/", (req, res) => res.redirect("/react"));
 
@@ -39,12 +52,8 @@ async function startExpress() {
           description: "React rendered using DomainEx",
         };
       },
-      () => ({
-        meta: {
-          engine: "DomainEx",
-          framework: "React",
-        },
-      })
+      // Streamed, like the /react route in routes.js
+      { stream: true }
     )
   );
 
@@ -60,21 +69,42 @@ async function startExpress() {
     })
   );
 
+  // components/Greeting.vue: <script setup lang="ts">
+  app.get(
+    "/vue-ts",
+    dx.createMiddleware("Greeting", (req) => ({ user: (req.query || {}).user || "Guest" }))
+  );
+
   app.get(
     "/vanilla",
-    dx.createMiddleware("Home", (req) => {
+    // ?user= is read by Home's loader()
+    dx.createMiddleware("Home", () => ({
+      title: "Vanilla SSR",
+      description: "Vanilla rendered using DomainEx",
+    }))
+  );
+
+  app.get(
+    "/svelte",
+    dx.createMiddleware("Widget", (req) => {
       const q = req.query || {};
       return {
-        title: "Vanilla SSR",
+        title: "Svelte SSR",
         user: q.user || "Guest",
-        description: "Vanilla rendered using DomainEx",
+        description: "Svelte rendered using DomainEx",
       };
     })
   );
 
-  app.use((err, req, res, next) => {
-    res.status(500).send(`<pre>${err.stack || err.message}</pre>`);
-  });
+  // components/admin/Dashboard.jsx
+  app.get(
+    "/admin",
+    dx.createMiddleware("admin/Dashboard", () => ({ title: "Admin" }))
+  );
+
+  // Unmatched URLs and errors render NotFound / ErrorPage (stacks only in dev)
+  app.use((req, res, next) => next(new DomainEx.NotFoundError()));
+  app.use(dx.createErrorHandler());
 
   const port = 3000;
   app.listen(port, () => {
@@ -83,6 +113,8 @@ async function startExpress() {
 }
 
 async function startStandalone() {
+  if (WATCH) await watch();
+
   const dx = new DomainEx({
     distPath: path.join(__dirname, "dist"),
     templatePath: path.join(__dirname, "template.html"),
@@ -90,66 +122,29 @@ async function startStandalone() {
     cacheMaxAge: 1000 * 20,
     dev: true,
     logger: console,
+    errorComponent: "ErrorPage",
+    notFoundComponent: "NotFound",
   });
 
   const port = 3000;
 
   await dx.createServer(
     port,
+    routes,
     {
-      "/": {
-        component: "App",
-        props: () => ({
-          title: "React SSR (Standalone)",
-          user: "Guest",
-        }),
-      },
-
-      "/react": {
-        component: "App",
-        props: (req) => {
-          const q = getQueryParams(req.url);
-          return {
-            title: "React SSR (Standalone)",
-            user: q.user || "Guest",
-          };
-        },
-      },
-
-      "/vue": {
-        component: "Landing",
-        props: (req) => {
-          const q = getQueryParams(req.url);
-          return {
-            title: "Vue SSR (Standalone)",
-            user: q.user || "Guest",
-          };
-        },
-      },
-
-      "/vanilla": {
-        component: "Home",
-        props: (req) => {
-          const q = getQueryParams(req.url);
-          return {
-            title: "Vanilla SSR (Standalone)",
-            user: q.user || "Guest",
-          };
-        },
-      },
-    },
-    {
-      // Optional: serve dist assets
-      // staticDir: path.join(__dirname, "dist/assets"),
-      // staticUrlPrefix: "/assets",
+      // Client bundles used for hydration
+      staticDir: path.join(__dirname, "dist/assets"),
+      staticUrlPrefix: "/assets",
+      // Render metrics for Prometheus
+      metricsPath: "/metrics",
     }
   );
 }
 
 // Choose mode from CLI
-// node server.js express
-// node server.js standalone
-const mode = process.argv[2] || "express";
+// node server.js express [--watch]
+// node server.js standalone [--watch]
+const mode = process.argv.slice(2).find((arg) => !arg.startsWith("--")) || "express";
 
 if (mode === "standalone") {
   startStandalone().catch(console.error);